@@ -1,49 +1,561 @@
 #!/usr/bin/env node
-import { Command } from 'commander';
-import { analyzeFile } from '../lib/analyze.js';
+import fs from 'fs';
+import chalk from 'chalk';
+import { Command, InvalidArgumentError, Option } from 'commander';
+import { analyzeFile, analyzeProject } from '../lib/analyze.js';
 import { removePackageFromFile } from '../lib/remove.js';
+import { replacePackageInFile, loadMapping } from '../lib/replace.js';
+import { createPackageMatcher } from '../lib/match.js';
 import { formatFile } from '../lib/format.js';
-import { bundlePackages } from '../lib/bundle.js';
+import { shakeFile } from '../lib/shake.js';
+import { bundlePackages, watchBundlePackages } from '../lib/bundle.js';
+import { watchFiles, untilInterrupted } from '../lib/watch.js';
+import { reportDependencies } from '../lib/deps.js';
+import { selectPackages } from '../lib/select.js';
+import { processFiles, printSummary } from '../lib/batch.js';
+import { loadConfig, getCommandConfig } from '../lib/config.js';
+import { configureLogger, log } from '../lib/logger.js';
+import { EXIT_CODES, exitCodeFor } from '../lib/errors.js';
+import {
+  createBackupSession,
+  listBackups,
+  findLastRun,
+  restoreBackup,
+  pruneBackups,
+  printHistory,
+  printRestore,
+} from '../lib/backup.js';
 
 const program = new Command();
 
-program.name('jstool').description('JS Utilities CLI').version('1.0.0');
+program
+  .name('jstool')
+  .description('JS Utilities CLI')
+  .version('1.0.0')
+  .option('-c, --config <file>', 'Use this config file instead of searching for kz.config.js/.kzrc')
+  .option('--no-config', 'Ignore any config file')
+  .option('-p, --profile <name>', 'Apply a named profile from the config file')
+  .option('--no-backup', "Don't save overwritten files to the backup store (.kz/backups)")
+  .option('-q, --quiet', 'Only print errors and requested output (diffs, JSON, SARIF)')
+  .addOption(new Option('--verbose', 'Also print debug details on stderr').conflicts('quiet'))
+  .option('--no-color', 'Print without colors')
+  .option('--no-emoji', 'Print without emoji and symbols')
+  // Usage errors (unknown options, missing arguments) share the exit code of other failures
+  .exitOverride((err) => process.exit(err.exitCode === 0 ? 0 : EXIT_CODES.FAILURE));
+
+// Backup store settings from the config's `backup` section
+let backupSettings = {};
+
+const collect = (value, previous) => previous.concat(value);
+
+// `--ignore-packages a,b` (repeatable) → ['a', 'b']
+const collectList = (value, previous) =>
+  previous.concat(
+    value
+      .split(',')
+      .map((item) => item.trim())
+      .filter(Boolean),
+  );
+
+// `--expose lodash=_,jquery=$` (repeatable) → { lodash: '_', jquery: '$' }
+const collectPairs = (value, previous) => {
+  const pairs = { ...previous };
+  value.split(',').forEach((pair) => {
+    const index = pair.lastIndexOf('=');
+    if (index > 0) pairs[pair.slice(0, index).trim()] = pair.slice(index + 1).trim();
+  });
+  return pairs;
+};
+
+// `--group charts:chart.js,d3 --group core:jquery` → { charts: ['chart.js', 'd3'], core: ['jquery'] }
+const collectGroups = (value, previous = {}) => {
+  const index = value.indexOf(':');
+  if (index <= 0)
+    throw new InvalidArgumentError('Expected <name>:<packages>, e.g. charts:chart.js,d3');
+  const name = value.slice(0, index).trim();
+  return { ...previous, [name]: collectList(value.slice(index + 1), previous[name] || []) };
+};
+
+// A single existing file keeps the original per-file output; anything else is a batch
+const isSingleFile = (inputs) =>
+  inputs.length === 1 && fs.existsSync(inputs[0]) && fs.statSync(inputs[0]).isFile();
+
+// Exit with the most severe failure; otherwise with STILL_USED when `remove` had to keep
+// bundled modules, with CHANGES when --dry-run/--diff/--check found files to change (like
+// `git diff --exit-code`), and with NOTHING_TO_DO when no file matched or, for commands
+// looking for a package or exports, no file contained them
+const setExitCode = (options, results, lookingFor = false) => {
+  const failures = results.filter((result) => result.error);
+  const changed = results.some((result) => result.changed);
+
+  if (failures.length > 0) {
+    process.exitCode = Math.max(...failures.map((result) => exitCodeFor(result.errorCode)));
+  } else if (results.some((result) => result.kept)) {
+    process.exitCode = EXIT_CODES.STILL_USED;
+  } else if (changed && (options.dryRun || options.diff || options.check)) {
+    process.exitCode = EXIT_CODES.CHANGES;
+  } else if (results.length === 0 || (lookingFor && !changed)) {
+    process.exitCode = EXIT_CODES.NOTHING_TO_DO;
+  }
+};
+
+// Validation failures stop before any file is touched
+const fail = (message) => {
+  log.error(chalk.red(`✖ ${message}`));
+  process.exit(EXIT_CODES.FAILURE);
+};
+
+// `format --check` lists files that would change and files that couldn't be checked
+const reportCheck = (options, paths, results) => {
+  const unformatted = results.filter((result) => result.changed).length;
+  const failed = results.filter((result) => result.error).length;
+  const action = options.minify ? 'minified' : 'formatted';
+
+  if (unformatted === 0 && failed === 0) {
+    log.info(chalk.green(`✔ All files are ${action}`));
+    return;
+  }
+
+  if (unformatted > 0) {
+    const fix = `kz format ${paths.join(' ')}${options.minify ? ' --minify' : ''}`;
+    log.info(chalk.red(`✖ ${unformatted} file(s) not ${action}`));
+    log.warn(chalk.gray(`💡 Tip: Run \`${fix}\` to fix them.`));
+  }
+  if (failed > 0) log.info(chalk.red(`✖ ${failed} file(s) could not be checked`));
+};
+
+// Config values fill in every option that wasn't given on the command line
+const applyConfig = (command, section) => {
+  const fromCli = (key) => command.getOptionValueSource(key) === 'cli';
+  const set = (key, value) => command.setOptionValueWithSource(key, value, 'config');
+
+  Object.entries(section).forEach(([key, value]) => {
+    if (key === 'mode') {
+      if (!fromCli('force') && !fromCli('aggressive')) {
+        set('force', value !== 'normal');
+        set('aggressive', value === 'aggressive');
+      }
+    } else if (key === 'ignore') {
+      set('ignore', [...value, ...(fromCli('ignore') ? command.getOptionValue('ignore') : [])]);
+    } else if (key === 'groups') {
+      set('group', { ...value, ...(fromCli('group') ? command.getOptionValue('group') : {}) });
+    } else if (key === 'expose') {
+      set('expose', { ...value, ...(fromCli('expose') ? command.getOptionValue('expose') : {}) });
+    } else if (!fromCli(key)) {
+      set(key, key === 'target' && Array.isArray(value) ? value.join(',') : value);
+    }
+  });
+};
+
+program.hook('preAction', async (thisCommand, actionCommand) => {
+  const { config: configFile, profile, quiet, verbose, color, emoji } = program.opts();
+  const level = quiet ? 'quiet' : verbose ? 'verbose' : 'normal';
+  configureLogger({ level, color, emoji });
+  if (configFile === false) return;
+
+  try {
+    const { file, config } = await loadConfig({ file: configFile, profile });
+    if (file) log.debug(`Using config ${file}${profile ? ` with profile '${profile}'` : ''}`);
+    applyConfig(actionCommand, getCommandConfig(config, actionCommand.name()));
+    backupSettings = getCommandConfig(config, 'backup');
+  } catch (err) {
+    fail(err.message);
+  }
+});
+
+// Writes are recorded in the backup store unless previewing or disabled
+const startBackup = (options) => {
+  if (options.dryRun || options.diff || options.check) return null;
+  if (!program.opts().backup || backupSettings.enabled === false) return null;
+  return createBackupSession(process.argv.slice(2).join(' '), backupSettings);
+};
+
+const finishBackup = (backup) => {
+  try {
+    const run = backup && backup.finish();
+    if (run) log.info(chalk.gray(`📋 Backup saved as ${run.id} (revert with \`kz undo\`)`));
+  } catch (err) {
+    log.error(chalk.red(`✖ ${err.message}`));
+    process.exitCode = exitCodeFor(err.code);
+  }
+};
+
+const batchOptions = (options) => ({
+  ignore: options.ignore,
+  concurrency: parseInt(options.concurrency, 10),
+});
+
+// Keep a watcher running until Ctrl+C, then shut it down
+const watchUntilInterrupted = async (watcher, what) => {
+  log.info(chalk.cyan(`👀 Watching ${what} for changes, press Ctrl+C to stop`));
+  await untilInterrupted();
+  await watcher.close();
+  log.info(chalk.gray('👋 Stopped watching'));
+};
 
 // Analyze file
 program
-  .command('analyze <file>')
-  .description('Analyze a JS file for package usage and statistics')
-  .action((file) => analyzeFile(file));
+  .command('analyze <paths...>')
+  .description('Analyze JS files, directories or globs for package usage and statistics')
+  .option('--format <type>', 'Output format: text, json or sarif', 'text')
+  .option('--ignore <glob>', 'Glob pattern to exclude (repeatable)', collect, [])
+  .option('--concurrency <n>', 'Number of files processed at once', '4')
+  .action(async (paths, options) => {
+    if (isSingleFile(paths)) {
+      setExitCode(options, [analyzeFile(paths[0], { format: options.format })]);
+      return;
+    }
+
+    const project = await analyzeProject(paths, {
+      format: options.format,
+      ...batchOptions(options),
+    });
+    if (project.error) {
+      process.exitCode = exitCodeFor(project.errorCode);
+    } else if (project.failures.length > 0) {
+      process.exitCode = EXIT_CODES.FAILURE;
+    } else if (project.files === 0) {
+      process.exitCode = EXIT_CODES.NOTHING_TO_DO;
+    }
+  });
+
+// Check dependencies
+program
+  .command('deps [paths...]')
+  .description('Check imports against package.json: missing, unused and dev-only dependencies')
+  .option('--manifest <file>', 'package.json to check against (default: the nearest one)')
+  .option('--dev <glob>', 'Extra glob for development-only files (repeatable)', collect, [])
+  .option('--ignore-packages <names>', 'Packages never reported, comma-separated', collectList, [])
+  .option('--format <type>', 'Output format: text or json', 'text')
+  .option('--ignore <glob>', 'Glob pattern to exclude (repeatable)', collect, [])
+  .option('--concurrency <n>', 'Number of files processed at once', '4')
+  .action(async (paths, options) => {
+    const result = await reportDependencies(paths, {
+      manifest: options.manifest,
+      dev: options.dev,
+      ignorePackages: options.ignorePackages,
+      format: options.format,
+      ...batchOptions(options),
+    });
+    if (result.error) {
+      process.exitCode = exitCodeFor(result.errorCode);
+    } else if (result.failures.length > 0) {
+      process.exitCode = EXIT_CODES.FAILURE;
+    } else if (!result.ok) {
+      process.exitCode = EXIT_CODES.CHANGES;
+    }
+  });
 
 // Remove package
 program
-  .command('remove <file> <package>')
-  .description('Remove a package from a file')
+  .command('remove <target> <package>')
+  .description('Remove a package from a file, directory or glob')
   .option('-f, --force', 'Force remove (works for bundled/minified files)')
   .option('-a, --aggressive', 'Aggressive removal (removes any reference, may break code)')
-  .action(async (file, pkg, options) => {
-    await removePackageFromFile(file, pkg, options.force || false, options.aggressive || false);
+  .option('--match <mode>', 'Match package names: exact, prefix, glob or regex', 'exact')
+  .option('-u, --with-usages', 'Also remove statements that use the imported bindings')
+  .option('--stub <expression>', 'Replace usages that cannot be removed with this expression')
+  .option('--source-map', 'Write a source map, chained with any existing input map')
+  .option('--no-verify', "Write the output even if it doesn't parse or lost exports")
+  .option('--node-check', 'Also run `node --check` on the output before writing')
+  .option('--dry-run', 'Report what would be removed without writing files')
+  .option('--diff', 'Print a unified diff of the changes without writing files')
+  .option('--ignore <glob>', 'Glob pattern to exclude (repeatable)', collect, [])
+  .option('--concurrency <n>', 'Number of files processed at once', '4')
+  .action(async (target, pkg, options) => {
+    try {
+      createPackageMatcher(pkg, options.match);
+    } catch (err) {
+      fail(err.message);
+    }
+
+    const backup = startBackup(options);
+    const remove = (file) =>
+      removePackageFromFile(file, pkg, {
+        force: options.force,
+        aggressive: options.aggressive,
+        match: options.match,
+        withUsages: options.withUsages,
+        stub: options.stub,
+        sourceMap: options.sourceMap,
+        verify: options.verify,
+        nodeCheck: options.nodeCheck,
+        dryRun: options.dryRun,
+        diff: options.diff,
+        backup,
+      });
+
+    if (isSingleFile([target])) {
+      setExitCode(options, [await remove(target)], true);
+    } else {
+      const summary = await processFiles(target, remove, batchOptions(options));
+      printSummary(summary);
+      setExitCode(options, summary.results, true);
+    }
+    finishBackup(backup);
+  });
+
+// Replace package
+program
+  .command('replace <target> <from> <to>')
+  .description('Replace a package with another in a file, directory or glob')
+  .option('--mapping <file>', 'JSON file mapping old export names to new ones')
+  .option('--style <style>', 'Import style of the new package: default or namespace')
+  .option('--no-rename', 'Keep local names such as `moment` instead of renaming them')
+  .option('--source-map', 'Write a source map, chained with any existing input map')
+  .option('--no-verify', "Write the output even if it doesn't parse or lost exports")
+  .option('--node-check', 'Also run `node --check` on the output before writing')
+  .option('--dry-run', 'Report what would change without writing files')
+  .option('--diff', 'Print a unified diff of the changes without writing files')
+  .option('--ignore <glob>', 'Glob pattern to exclude (repeatable)', collect, [])
+  .option('--concurrency <n>', 'Number of files processed at once', '4')
+  .action(async (target, from, to, options) => {
+    let mapping = null;
+    try {
+      mapping = options.mapping ? loadMapping(options.mapping) : null;
+    } catch (err) {
+      fail(err.message);
+    }
+
+    const backup = startBackup(options);
+    const replace = (file) =>
+      replacePackageInFile(file, from, to, {
+        mapping,
+        style: options.style,
+        rename: options.rename,
+        sourceMap: options.sourceMap,
+        verify: options.verify,
+        nodeCheck: options.nodeCheck,
+        dryRun: options.dryRun,
+        diff: options.diff,
+        backup,
+      });
+
+    if (isSingleFile([target])) {
+      setExitCode(options, [await replace(target)], true);
+    } else {
+      const summary = await processFiles(target, replace, batchOptions(options));
+      printSummary(summary);
+      setExitCode(options, summary.results, true);
+    }
+    finishBackup(backup);
+  });
+
+// Tree-shake exports
+program
+  .command('shake <file>')
+  .description('Drop the unused exports of an ES module and the code only they use')
+  .option('--keep <names>', 'Exports to keep, comma-separated (repeatable)', collectList, [])
+  .option('--used-by <paths>', 'Keep the exports these files import (repeatable)', collect, [])
+  .option('--ignore <glob>', 'Glob pattern to exclude from --used-by (repeatable)', collect, [])
+  .option('-m, --minify', 'Minify the output')
+  .option('--dry-run', 'Report what would be dropped without writing the file')
+  .option('--diff', 'Print a unified diff of the change without writing the file')
+  .action(async (file, options) => {
+    if (options.keep.length === 0 && options.usedBy.length === 0) {
+      fail('Name the exports to keep with --keep or --used-by');
+    }
+
+    const backup = startBackup(options);
+    const result = await shakeFile(file, {
+      keep: options.keep,
+      usedBy: options.usedBy,
+      ignore: options.ignore,
+      minify: options.minify,
+      dryRun: options.dryRun,
+      diff: options.diff,
+      backup,
+    });
+    setExitCode(options, [result], true);
+    finishBackup(backup);
   });
 
 // Format or minify
 program
-  .command('format <file>')
+  .command('format <paths...>')
   .option('-m, --minify', 'Minify file into 1 line')
-  .description('Format or minify a JS file')
-  .action((file, options) => formatFile(file, options.minify));
+  .option('--source-map', 'Write a source map, chained with any existing input map')
+  .option('--no-verify', "Write the output even if it doesn't parse or lost exports")
+  .option('--node-check', 'Also run `node --check` on the output before writing')
+  .option('--dry-run', 'Report which files would change without writing them')
+  .option('--diff', 'Print a unified diff of the changes without writing files')
+  .option('--check', 'Exit with code 1 if any file is not formatted (or minified); write nothing')
+  .option('--ignore <glob>', 'Glob pattern to exclude (repeatable)', collect, [])
+  .option('--concurrency <n>', 'Number of files processed at once', '4')
+  .option('-w, --watch', 'Format again whenever a file is saved (Ctrl+C to stop)')
+  .description('Format or minify JS files, directories or globs')
+  .action(async (paths, options) => {
+    if (options.check && options.watch) {
+      fail('--check and --watch cannot be used together');
+    }
+    const backup = startBackup(options);
+    const format = (file) =>
+      formatFile(file, {
+        minify: options.minify,
+        terser: options.terser,
+        prettier: options.prettier,
+        sourceMap: options.sourceMap,
+        verify: options.verify,
+        nodeCheck: options.nodeCheck,
+        dryRun: options.dryRun,
+        diff: options.diff,
+        check: options.check,
+        backup,
+      });
+
+    let results;
+    if (isSingleFile(paths)) {
+      results = [await format(paths[0])];
+    } else {
+      const summary = await processFiles(paths, format, batchOptions(options));
+      if (!options.check) printSummary(summary);
+      results = summary.results;
+    }
+
+    if (options.check) reportCheck(options, paths, results);
+    setExitCode(options, results);
+
+    if (options.watch) {
+      const watcher = await watchFiles(paths, format, { ignore: options.ignore });
+      await watchUntilInterrupted(watcher, `${watcher.files.length} file(s)`);
+    }
+    finishBackup(backup);
+  });
 
 // Bundle packages
 program
   .command('bundle [packages...]')
   .option('-o, --out <output>', 'Output file name', 'bundle.js')
   .option('--minify', 'Minify the bundle', false)
+  .option('--format <format>', 'Output format: esm, cjs, iife or umd', 'iife')
+  .option('--platform <platform>', 'Target platform: browser, node or neutral', 'browser')
+  .option('--target <targets>', 'esbuild targets, comma-separated (e.g. es2017,chrome58)')
+  .option('--global-name <name>', 'Global name for iife/umd bundles', 'VendorBundle')
+  .option('--expose <mapping>', 'Export name per package, e.g. lodash=_,jquery=$', collectPairs, {})
+  .option('--source-map', 'Write a source map for the bundle')
+  .option('--metafile [file]', "Write esbuild's metafile (default: <out>.meta.json)")
+  .option('--report', 'Print per-package sizes (raw, minified, gzip, brotli) and duplicates')
+  .option('--treemap <file>', 'Write a standalone HTML treemap of the bundle')
+  .option('-w, --watch', 'Rebuild the bundle whenever one of its input files changes')
+  .option('--from <file>', 'Bundle the dependencies of a package.json or npm lockfile')
+  .option('--include <patterns>', 'Packages from --from to keep, e.g. @scope/*', collectList, [])
+  .option('--exclude <patterns>', 'Packages from --from to skip', collectList, [])
+  .option('--external <names>', 'Packages to leave out, e.g. jquery=jQuery,moment', collectList, [])
+  .option('--cdn [template]', 'Write a snippet loading external packages from a CDN URL template')
+  .option('--cdn-snippet <file>', 'Where to write the CDN snippet (.html or .js)')
+  .option(
+    '--group <name:packages>',
+    'Bundle packages into their own file (repeatable)',
+    collectGroups,
+  )
+  .option('--out-dir <dir>', 'Directory for grouped bundles (default: that of --out)')
+  .option('--manifest <file>', 'Manifest of grouped bundles (default: <out-dir>/manifest.json)')
   .description('Create a bundle containing the specified npm packages')
-  .action((packages, options) => {
-    if (!packages.length) {
-      console.error('❌ You must specify at least one package.');
-      process.exit(1);
+  .action(async (packages, options) => {
+    packages = packages.length ? packages : options.packages || [];
+    if (options.from) {
+      try {
+        const selected = selectPackages(options.from, options);
+        packages = [...new Set([...packages, ...selected])];
+      } catch (err) {
+        fail(err.message);
+      }
+    }
+    if (!packages.length && !options.group) {
+      fail('You must specify at least one package.');
+    }
+    const backup = startBackup(options);
+    const bundleOptions = {
+      outputFile: options.out,
+      minify: options.minify,
+      format: options.format,
+      platform: options.platform,
+      target: options.target ? options.target.split(',') : undefined,
+      globalName: options.globalName,
+      exposeAs: options.expose,
+      external: options.external,
+      cdn: options.cdn,
+      cdnSnippet: options.cdnSnippet,
+      groups: options.group,
+      outDir: options.outDir,
+      manifest: options.manifest,
+      sourceMap: options.sourceMap,
+      metafile: options.metafile,
+      report: options.report,
+      treemap: options.treemap,
+      backup,
+    };
+
+    if (options.watch) {
+      const watcher = await watchBundlePackages(packages, bundleOptions);
+      if (watcher) {
+        await watchUntilInterrupted(watcher, `the inputs of ${options.out}`);
+      } else {
+        process.exitCode = EXIT_CODES.FAILURE;
+      }
+    } else {
+      const result = await bundlePackages(packages, bundleOptions);
+      if (result && result.error) process.exitCode = exitCodeFor(result.errorCode);
+    }
+    finishBackup(backup);
+  });
+
+// Backup store
+const runRestore = (id, options, files) => {
+  try {
+    const result = restoreBackup(id, { ...backupSettings, files, force: options.force });
+    printRestore(result);
+    if (result.skipped.length > 0) process.exitCode = EXIT_CODES.FAILURE;
+  } catch (err) {
+    log.error(chalk.red(`✖ ${err.message}`));
+    process.exitCode = exitCodeFor(err.code);
+  }
+};
+
+program
+  .command('undo')
+  .description('Revert the files changed by the last remove, format or bundle run')
+  .option('-f, --force', 'Restore files even if they were edited after the run')
+  .action((options) => {
+    const run = findLastRun(backupSettings);
+    if (!run) {
+      log.warn(chalk.yellow('⚠ Nothing to undo'));
+      process.exitCode = EXIT_CODES.NOTHING_TO_DO;
+      return;
     }
-    bundlePackages(packages, options.out, options.minify);
+    log.info(chalk.blue(`↩️ Undoing ${run.id}: kz ${run.command}`));
+    runRestore(run.id, options);
+  });
+
+program
+  .command('restore <id> [files...]')
+  .description('Restore the files of a backup run (all of them, or only the given files)')
+  .option('-f, --force', 'Restore files even if they were edited after the run')
+  .action((id, files, options) => {
+    runRestore(id, options, files.length ? files : undefined);
+  });
+
+program
+  .command('history')
+  .description('List backup runs, or prune them')
+  .option('-n, --limit <n>', 'Number of runs to show', '20')
+  .option('--prune', 'Delete runs beyond the retention limits')
+  .option('--keep <n>', 'Runs to keep when pruning (default: config backup.keep or 50)')
+  .option('--max-age <days>', 'Delete runs older than this when pruning (default: 30, 0 = never)')
+  .option('--clear', 'Delete every backup run')
+  .action((options) => {
+    if (options.prune || options.clear) {
+      const removed = pruneBackups({
+        ...backupSettings,
+        keep: options.keep !== undefined ? parseInt(options.keep, 10) : backupSettings.keep,
+        maxAge: options.maxAge !== undefined ? parseInt(options.maxAge, 10) : backupSettings.maxAge,
+        all: options.clear,
+      });
+      log.info(chalk.green(`✔ Deleted ${removed.length} backup run(s)`));
+      return;
+    }
+
+    printHistory(listBackups(backupSettings).slice(0, parseInt(options.limit, 10)));
   });
 
-program.parse(process.argv);
+program.parseAsync(process.argv);
@@ -1,78 +1,605 @@
-import fs from 'fs';
 import chalk from 'chalk';
-import { parse } from '@babel/parser';
-import traverseModule from '@babel/traverse';
+import path from 'path';
+import { resolveFiles, mapConcurrent, readSource, getPackageName } from './utils.js';
+import { resolvePackageVersion } from './versions.js';
+import { InvalidOptionError } from './errors.js';
+import { decodeBundle } from './decoder.js';
+import { detectLibraries } from './signatures.js';
+import { parseSource, findModuleReferences } from './specifiers.js';
+import { log } from './logger.js';
 
-const traverse = traverseModule.default;
+const OUTPUT_FORMATS = ['text', 'json', 'sarif'];
+
+/**
+ * Analyze a file for package usage.
+ * @param {string} filePath - Path to file.
+ * @param {object} options - Analyze options.
+ * @param {string} options.format - Output format: 'text', 'json' or 'sarif'.
+ * @returns {object} The analysis report, or `{ file, error, errorCode }` if the file could not
+ *   be analyzed.
+ */
+export function analyzeFile(filePath, options = {}) {
+  const format = options.format || 'text';
 
-export function analyzeFile(filePath) {
   try {
-    const code = fs.readFileSync(filePath, 'utf8');
-    const lines = code.split('\n').length;
-    let allPackages = [];
+    assertFormat(format);
+    const report = analyzeCode(readSource(filePath), filePath);
+    warnRegexFallback([report]);
+
+    if (format === 'json') {
+      log.data(JSON.stringify(report, null, 2));
+    } else if (format === 'sarif') {
+      log.data(JSON.stringify(toSarif(report), null, 2));
+    } else {
+      printReport(report);
+    }
+
+    return report;
+  } catch (err) {
+    log.error(chalk.red(`✖ Failed to analyze file: ${err.message}`));
+    log.debug(err.stack);
+    return { file: filePath, error: err.message, errorCode: err.code };
+  }
+}
+
+/**
+ * Analyze every file matched by a set of files, directories or globs.
+ * @param {string|string[]} inputs - Files, directories or glob patterns.
+ * @param {object} options - Analyze options.
+ * @param {string} options.format - Output format: 'text', 'json' or 'sarif'.
+ * @param {string[]} options.ignore - Extra glob patterns to exclude.
+ * @param {number} options.concurrency - Maximum files analyzed at once.
+ * @returns {Promise<object>} Project report with a package → files index, or
+ *   `{ error, errorCode }` on failure.
+ */
+export async function analyzeProject(inputs, options = {}) {
+  const format = options.format || 'text';
 
-    // Detect if file might be Webpack bundle (very few lines + "webpack" keywords)
-    const looksLikeWebpack = lines < 100 && /webpack/i.test(code);
+  try {
+    assertFormat(format);
+    const project = await buildProjectReport(inputs, options);
+    warnRegexFallback(project.reports);
+
+    if (format === 'json') {
+      log.data(JSON.stringify(project, null, 2));
+    } else if (format === 'sarif') {
+      log.data(JSON.stringify(toSarifLog(project.reports.flatMap(toSarifResults)), null, 2));
+    } else {
+      printProjectReport(project);
+    }
+
+    return project;
+  } catch (err) {
+    log.error(chalk.red(`✖ Failed to analyze project: ${err.message}`));
+    log.debug(err.stack);
+    return { error: err.message, errorCode: err.code };
+  }
+}
 
+/**
+ * Build the project report for a set of files, directories or globs without printing it.
+ * Files that can't be read are listed in `failures` instead of aborting the run.
+ * @param {string|string[]} inputs - Files, directories or glob patterns.
+ * @param {object} options - Analyze options.
+ * @param {string[]} options.ignore - Extra glob patterns to exclude.
+ * @param {number} options.concurrency - Maximum files analyzed at once.
+ * @returns {Promise<object>} Project report with a package → files index.
+ */
+export async function buildProjectReport(inputs, options = {}) {
+  const files = await resolveFiles(inputs, { ignore: options.ignore });
+  const failures = [];
+
+  const reports = await mapConcurrent(files, options.concurrency || 4, async (file) => {
     try {
-      if (!looksLikeWebpack) {
-        // Try AST parsing
-        const ast = parse(code, {
-          sourceType: 'unambiguous',
-          plugins: ['jsx', 'dynamicImport'],
-        });
-
-        const imports = [];
-        const requires = [];
-
-        traverse(ast, {
-          ImportDeclaration(path) {
-            imports.push(path.node.source.value);
+      return analyzeCode(readSource(file), file);
+    } catch (err) {
+      failures.push({ file, error: err.message });
+      return null;
+    }
+  });
+
+  return indexReports(reports.filter(Boolean), failures);
+}
+
+function assertFormat(format) {
+  if (!OUTPUT_FORMATS.includes(format)) {
+    throw new InvalidOptionError(
+      `Unknown format '${format}' (expected ${OUTPUT_FORMATS.join(', ')})`,
+    );
+  }
+}
+
+// Bundles and exotic syntax fall back to regex extraction; say so once per file
+function warnRegexFallback(reports) {
+  reports
+    .filter((report) => report.parser === 'regex')
+    .forEach((report) => {
+      log.warn(chalk.yellow(`⚠ AST parsing failed for ${report.file}, used regex fallback`));
+    });
+}
+
+/**
+ * Build the analysis report for a piece of source code.
+ * @param {string} code - Source code.
+ * @param {string|null} filePath - File the code came from, used in the report.
+ * @returns {object} The analysis report.
+ */
+export function analyzeCode(code, filePath = null) {
+  const lines = code.split('\n').length;
+  const { references, parser, ast } = collectReferences(code, filePath);
+
+  // Bundles embed their dependencies in a module map instead of importing them
+  const bundle = decodeBundle(code, ast);
+  if (bundle) {
+    const locate = createLocator(code);
+    bundle.modules
+      .filter((mod) => mod.package)
+      .forEach((mod) => references.push(toReference(mod.package, 'bundled', locate(mod.start))));
+  }
+
+  // Files with no imports at all may still have libraries pasted in whole
+  const libraries = bundle ? [] : detectLibraries(code, ast);
+  if (libraries.length > 0) {
+    const locate = createLocator(code);
+    libraries.forEach((lib) =>
+      references.push(toReference(lib.name, 'embedded', locate(lib.start))),
+    );
+  }
+
+  const packages = groupReferences(references, filePath);
+
+  // The embedded copy's own version matters, not whatever is installed
+  packages.forEach((pkg) => {
+    const embedded = libraries.find((lib) => lib.name === pkg.name);
+    if (embedded && pkg.kinds.every((kind) => kind === 'embedded')) pkg.version = embedded.version;
+  });
+  const report = {
+    file: filePath,
+    lines,
+    size: Buffer.byteLength(code, 'utf8'),
+    parser,
+    packages,
+    bundle: bundle
+      ? { type: bundle.type, modules: bundle.modules.length, packages: bundle.packages }
+      : null,
+    libraries,
+    totalReferences: packages.reduce((sum, pkg) => sum + pkg.usages, 0),
+    mostUsed: findMostUsed(packages),
+    unusedImports: packages.flatMap((pkg) =>
+      pkg.bindings
+        .filter((binding) => binding.references === 0)
+        .map((binding) => ({ package: pkg.name, ...binding })),
+    ),
+  };
+
+  return report;
+}
+
+/**
+ * Collect every module a piece of source code loads (see findModuleReferences for the
+ * syntax covered), falling back to regex extraction when the code can't be parsed.
+ * TypeScript and Flow are parsed too.
+ * @param {string} code - Source code.
+ * @param {string|null} filePath - File the code came from, used to pick the parser plugins.
+ * @returns {object} `{ references, parser, ast }`; each reference has `name`, `kind`, `line` and `column`.
+ */
+export function collectReferences(code, filePath = null) {
+  let ast;
+  try {
+    ast = parseSource(code, filePath ? path.basename(filePath) : undefined);
+  } catch (parseErr) {
+    return { references: extractPackagesWithRegex(code), parser: 'regex', ast: null };
+  }
+
+  const references = findModuleReferences(ast).map((ref) => {
+    const loc = ref.kind === 'amd' ? ref.source.loc : ref.path.node.loc;
+    const reference = toReference(ref.specifier, ref.kind, loc);
+    const bindings = collectBindings(ref);
+    return bindings.length > 0 ? { ...reference, bindings } : reference;
+  });
+
+  return { references, parser: 'ast', ast };
+}
+
+// Keyed by package name: `moment/locale/fr` counts towards `moment`, and relative or
+// absolute specifiers are the project's own modules, not packages
+function indexReports(reports, failures) {
+  const packages = new Map();
+
+  reports.forEach((report) => {
+    report.packages.forEach((pkg) => {
+      const name = getPackageName(pkg.name);
+      if (!name) return;
+
+      if (!packages.has(name)) {
+        packages.set(name, { name, version: 'N/A', versions: [], usages: 0, files: [] });
+      }
+
+      const entry = packages.get(name);
+      if (entry.version === 'N/A') entry.version = pkg.version;
+      entry.versions = [...new Set([...entry.versions, ...pkg.versions])];
+      entry.usages += pkg.usages;
+      if (!entry.files.includes(report.file)) entry.files.push(report.file);
+    });
+  });
+
+  return {
+    files: reports.length,
+    lines: reports.reduce((sum, report) => sum + report.lines, 0),
+    size: reports.reduce((sum, report) => sum + report.size, 0),
+    packages: [...packages.values()].sort((a, b) => b.files.length - a.files.length),
+    unusedImports: reports.flatMap((report) =>
+      report.unusedImports.map((binding) => ({ file: report.file, ...binding })),
+    ),
+    failures,
+    reports,
+  };
+}
+
+function printProjectReport(project) {
+  log.info(chalk.cyan(`📁 Files analyzed: ${project.files}`));
+  log.info(chalk.cyan(`📏 Lines: ${project.lines}`));
+  log.info(chalk.cyan(`💾 Size: ${(project.size / 1024).toFixed(2)} KB`));
+  log.info(chalk.yellow(`📦 Packages detected: ${project.packages.length}`));
+
+  if (project.packages.length === 0) {
+    log.info(chalk.gray(' (none found)'));
+  }
+
+  project.packages.forEach((pkg) => {
+    const version = pkg.version !== 'N/A' ? chalk.gray(` v${pkg.version}`) : '';
+    const count = `${pkg.files.length} file${pkg.files.length === 1 ? '' : 's'}`;
+    log.info(
+      ' -',
+      chalk.green(pkg.name) + version,
+      chalk.blue(`(${count})`) + describeVersions(pkg.versions),
+    );
+    pkg.files.forEach((file) => log.info(chalk.gray(`     ${file}`)));
+  });
+
+  if (project.unusedImports.length > 0) {
+    log.info(chalk.yellow(`⚠ Unused imports: ${project.unusedImports.length}`));
+    project.unusedImports.forEach((binding) => {
+      log.info(
+        ' -',
+        chalk.red(binding.local),
+        chalk.gray(`from '${binding.package}' (${binding.file}:${binding.line})`),
+      );
+    });
+  }
+
+  if (project.failures.length > 0) {
+    log.error(chalk.red(`✖ Failures: ${project.failures.length}`));
+    project.failures.forEach(({ file, error }) => {
+      log.error(' -', chalk.red(file), chalk.gray(error));
+    });
+  }
+}
+
+// Several installed versions usually mean duplicated code in the bundle
+function describeVersions(versions) {
+  return versions.length > 1
+    ? chalk.yellow(` ⚠ ${versions.length} versions installed: ${versions.join(', ')}`)
+    : '';
+}
+
+// Imported packages have a usage count; bundled and embedded ones only take up bytes
+function describeUsage(report, pkg) {
+  if (pkg.kinds.some((kind) => kind !== 'bundled' && kind !== 'embedded')) {
+    return report.parser === 'ast' ? chalk.blue(` (${pkg.usages} times)`) : '';
+  }
+
+  const copies = [...(report.bundle ? report.bundle.packages : []), ...report.libraries].filter(
+    (copy) => copy.name === pkg.name,
+  );
+  const size = copies.reduce((sum, copy) => sum + copy.size, 0);
+  return size > 0 ? chalk.blue(` (${(size / 1024).toFixed(2)} KB embedded)`) : '';
+}
+
+function printReport(report) {
+  log.info(chalk.cyan(`📄 File: ${report.file}`));
+  log.info(chalk.cyan(`📏 Lines: ${report.lines}`));
+  log.info(chalk.cyan(`💾 Size: ${(report.size / 1024).toFixed(2)} KB`));
+  log.info(chalk.yellow(`📦 Packages detected:`));
+
+  if (report.packages.length === 0) {
+    log.info(chalk.gray(' (none found)'));
+  } else {
+    report.packages.forEach((pkg) => {
+      const version = pkg.version !== 'N/A' ? chalk.gray(` v${pkg.version}`) : '';
+      log.info(
+        ' -',
+        chalk.green(pkg.name) + version + describeUsage(report, pkg),
+        chalk.gray(`[${pkg.kinds.join(', ')}]`) + describeVersions(pkg.versions),
+      );
+    });
+  }
+
+  if (report.bundle) {
+    log.info(chalk.yellow(`🧩 Bundle (${report.bundle.type}): ${report.bundle.modules} modules`));
+    report.bundle.packages.forEach((pkg) => {
+      log.info(
+        ' -',
+        chalk.green(pkg.name),
+        chalk.gray(`${(pkg.size / 1024).toFixed(2)} KB in ${pkg.modules} module(s)`),
+      );
+    });
+  }
+
+  if (report.libraries.length > 0) {
+    log.info(chalk.yellow(`🔎 Embedded libraries: ${report.libraries.length}`));
+    report.libraries.forEach((lib) => {
+      const version = lib.version !== 'N/A' ? chalk.gray(` v${lib.version}`) : '';
+      log.info(
+        ' -',
+        chalk.green(lib.name) + version,
+        chalk.gray(
+          `${(lib.size / 1024).toFixed(2)} KB at ${lib.start}–${lib.end} (from ${lib.evidence})`,
+        ),
+      );
+    });
+  }
+
+  if (report.unusedImports.length > 0) {
+    log.info(chalk.yellow(`⚠ Unused imports:`));
+    report.unusedImports.forEach((binding) => {
+      log.info(
+        ' -',
+        chalk.red(binding.local),
+        chalk.gray(`from '${binding.package}' (${binding.type}, line ${binding.line})`),
+      );
+    });
+  }
+
+  if (report.mostUsed) log.info(chalk.cyan(`🏆 Most used: ${report.mostUsed}`));
+  if (report.parser === 'ast') {
+    log.info(chalk.cyan(`📊 Total references: ${report.totalReferences}`));
+  }
+}
+
+/**
+ * Convert an analysis report into a SARIF 2.1.0 log.
+ * @param {object} report - Report returned by analyzeFile.
+ * @returns {object} SARIF log.
+ */
+export function toSarif(report) {
+  return toSarifLog(toSarifResults(report));
+}
+
+function toSarifResults(report) {
+  const results = [];
+
+  report.packages.forEach((pkg) => {
+    pkg.references.forEach((ref) => {
+      const region = { startLine: ref.line };
+      if (ref.column) region.startColumn = ref.column;
+
+      results.push({
+        ruleId: 'package-reference',
+        level: 'note',
+        message: {
+          text: `'${pkg.name}'${pkg.version !== 'N/A' ? ` (v${pkg.version})` : ''} referenced via ${ref.kind}`,
+        },
+        locations: [
+          {
+            physicalLocation: {
+              artifactLocation: { uri: report.file.split('\\').join('/') },
+              region,
+            },
           },
-          CallExpression(path) {
-            if (
-              path.node.callee.name === 'require' &&
-              path.node.arguments.length > 0 &&
-              path.node.arguments[0].type === 'StringLiteral'
-            ) {
-              requires.push(path.node.arguments[0].value);
-            }
+        ],
+        properties: {
+          package: pkg.name,
+          version: pkg.version,
+          versions: pkg.versions,
+          kind: ref.kind,
+        },
+      });
+    });
+  });
+
+  report.unusedImports.forEach((binding) => {
+    results.push({
+      ruleId: 'unused-import',
+      level: 'warning',
+      message: { text: `'${binding.local}' is imported from '${binding.package}' but never used` },
+      locations: [
+        {
+          physicalLocation: {
+            artifactLocation: { uri: report.file.split('\\').join('/') },
+            region: { startLine: binding.line, startColumn: binding.column },
           },
-        });
+        },
+      ],
+      properties: { package: binding.package, binding: binding.local },
+    });
+  });
 
-        allPackages = [...new Set([...imports, ...requires])];
-      } else {
-        throw new Error('Skipping AST for possible Webpack bundle');
-      }
-    } catch (parseErr) {
-      console.warn(chalk.yellow('⚠ AST parsing failed, using regex/webpack fallback'));
-      allPackages = extractPackagesWithRegex(code);
-
-      // Extra: Try webpack module map detection
-      if (looksLikeWebpack) {
-        const webpackPkgs = extractWebpackModules(code);
-        allPackages = [...new Set([...allPackages, ...webpackPkgs])];
-      }
+  return results;
+}
+
+function toSarifLog(results) {
+  return {
+    $schema: 'https://json.schemastore.org/sarif-2.1.0.json',
+    version: '2.1.0',
+    runs: [
+      {
+        tool: {
+          driver: {
+            name: 'bundle-handler',
+            informationUri: 'https://kz-bundle-handler.surge.sh',
+            rules: [
+              {
+                id: 'package-reference',
+                shortDescription: { text: 'A package is referenced by this file' },
+              },
+              {
+                id: 'unused-import',
+                shortDescription: { text: 'An imported binding is never referenced' },
+              },
+            ],
+          },
+        },
+        results,
+      },
+    ],
+  };
+}
+
+function toReference(name, kind, loc) {
+  return {
+    name,
+    kind,
+    line: loc ? loc.start.line : null,
+    column: loc ? loc.start.column + 1 : null,
+  };
+}
+
+// AMD dependencies are bound to the factory's parameters, by position
+function collectBindings(ref) {
+  const { path: loader, kind } = ref;
+  if (loader.isImportDeclaration()) return collectImportBindings(loader);
+  if (loader.isTSImportEqualsDeclaration()) {
+    return [describeBinding(loader.scope, loader.node.id, '*', 'require')];
+  }
+  if (kind === 'amd') {
+    return ref.param && ref.param.isIdentifier()
+      ? [describeBinding(ref.param.scope, ref.param.node, '*', 'amd')]
+      : [];
+  }
+  return kind === 'cjs' ? collectRequireBindings(loader) : [];
+}
+
+/**
+ * Describe the bindings created by an import declaration and how often each is referenced.
+ * @param {NodePath} path - ImportDeclaration path.
+ * @returns {object[]} Binding descriptors.
+ */
+function collectImportBindings(path) {
+  return path.node.specifiers.map((specifier) => {
+    let type = 'named';
+    let imported = specifier.local.name;
+
+    if (specifier.type === 'ImportDefaultSpecifier') {
+      type = 'default';
+      imported = 'default';
+    } else if (specifier.type === 'ImportNamespaceSpecifier') {
+      type = 'namespace';
+      imported = '*';
+    } else if (specifier.imported) {
+      imported = specifier.imported.name || specifier.imported.value;
     }
 
-    console.log(chalk.cyan(`📄 File: ${filePath}`));
-    console.log(chalk.cyan(`📏 Lines: ${lines}`));
-    console.log(chalk.yellow(`📦 Packages detected:`));
+    return describeBinding(path.scope, specifier.local, imported, type);
+  });
+}
+
+/**
+ * Describe the bindings created by `const x = require('pkg')` and
+ * `const { a, b: c } = require('pkg')`.
+ * @param {NodePath} path - The require CallExpression path.
+ * @returns {object[]} Binding descriptors.
+ */
+function collectRequireBindings(path) {
+  const declarator = path.parentPath;
+  if (!declarator.isVariableDeclarator() || declarator.node.init !== path.node) return [];
 
-    if (allPackages.length === 0) {
-      console.log(chalk.gray(' (none found)'));
-    } else {
-      allPackages.forEach((pkg) => console.log(' -', chalk.green(pkg)));
+  const { id } = declarator.node;
+  if (id.type === 'Identifier') {
+    return [describeBinding(declarator.scope, id, '*', 'require')];
+  }
+
+  if (id.type !== 'ObjectPattern') return [];
+
+  return id.properties
+    .filter((prop) => prop.type === 'ObjectProperty')
+    .map((prop) => {
+      const value = prop.value.type === 'AssignmentPattern' ? prop.value.left : prop.value;
+      if (value.type !== 'Identifier') return null;
+
+      const imported = prop.key.type === 'Identifier' ? prop.key.name : prop.key.value;
+      return describeBinding(declarator.scope, value, imported, 'named');
+    })
+    .filter(Boolean);
+}
+
+function describeBinding(scope, identifier, imported, type) {
+  const binding = scope.getBinding(identifier.name);
+  const referencePaths = binding ? binding.referencePaths : [];
+
+  return {
+    local: identifier.name,
+    imported,
+    type,
+    line: identifier.loc ? identifier.loc.start.line : null,
+    column: identifier.loc ? identifier.loc.start.column + 1 : null,
+    references: referencePaths.length,
+    locations: referencePaths
+      .filter((ref) => ref.node.loc)
+      .map((ref) => ({ line: ref.node.loc.start.line, column: ref.node.loc.start.column + 1 })),
+  };
+}
+
+// Versions are resolved from the analyzed file, so nested node_modules and workspaces count
+function groupReferences(references, filePath) {
+  const packages = new Map();
+
+  references.forEach(({ name, bindings = [], ...ref }) => {
+    if (!packages.has(name)) {
+      const { version, versions } = resolvePackageVersion(name, filePath);
+      packages.set(name, {
+        name,
+        version,
+        versions,
+        kinds: [],
+        usages: 0,
+        references: [],
+        bindings: [],
+      });
     }
-  } catch (err) {
-    console.error(chalk.red(`✖ Failed to analyze file: ${err.message}`));
+
+    const pkg = packages.get(name);
+    if (!pkg.kinds.includes(ref.kind)) pkg.kinds.push(ref.kind);
+    pkg.references.push(ref);
+    pkg.bindings.push(...bindings);
+    pkg.usages += bindings.reduce((sum, binding) => sum + binding.references, 0);
+  });
+
+  return [...packages.values()];
+}
+
+function findMostUsed(packages) {
+  const top = packages.reduce(
+    (best, pkg) => (!best || pkg.usages > best.usages ? pkg : best),
+    null,
+  );
+  return top && top.usages > 0 ? top.name : null;
+}
+
+// Map string offsets to Babel-style locations without rescanning the code for every lookup
+function createLocator(code) {
+  const lineStarts = [0];
+  for (let i = code.indexOf('\n'); i !== -1; i = code.indexOf('\n', i + 1)) {
+    lineStarts.push(i + 1);
   }
+
+  return (index) => {
+    let low = 0;
+    let high = lineStarts.length - 1;
+    while (low < high) {
+      const mid = (low + high + 1) >> 1;
+      if (lineStarts[mid] <= index) low = mid;
+      else high = mid - 1;
+    }
+    return { start: { line: low + 1, column: index - lineStarts[low] } };
+  };
 }
 
 function extractPackagesWithRegex(code) {
-  const importRegex = /import\s+(?:[^'"]*\s+from\s+)?['"]([^'"]+)['"]/g;
+  const importRegex = /(?:import|export)\s+(?:[^'"]*\s+from\s+)?['"]([^'"]+)['"]/g;
   const requireRegex = /require\(\s*['"]([^'"]+)['"]\s*\)/g;
 
+  const locate = createLocator(code);
   const results = [];
   let match;
 
@@ -86,29 +613,11 @@ function extractPackagesWithRegex(code) {
   };
 
   while ((match = importRegex.exec(code)) !== null) {
-    if (isValidPackage(match[1])) results.push(match[1]);
+    if (isValidPackage(match[1])) results.push(toReference(match[1], 'esm', locate(match.index)));
   }
   while ((match = requireRegex.exec(code)) !== null) {
-    if (isValidPackage(match[1])) results.push(match[1]);
-  }
-
-  return [...new Set(results)];
-}
-
-function extractWebpackModules(code) {
-  const webpackRegex = /["']\.\/node_modules\/([^"']+)["']\s*:/g;
-  const results = [];
-  let match;
-
-  while ((match = webpackRegex.exec(code)) !== null) {
-    let pkg = match[1];
-    // Remove any trailing file path
-    if (pkg.includes('/'))
-      pkg = pkg.split('/')[0].startsWith('@')
-        ? pkg.split('/').slice(0, 2).join('/')
-        : pkg.split('/')[0];
-    results.push(pkg);
+    if (isValidPackage(match[1])) results.push(toReference(match[1], 'cjs', locate(match.index)));
   }
 
-  return [...new Set(results)];
+  return results;
 }
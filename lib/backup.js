@@ -0,0 +1,308 @@
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import chalk from 'chalk';
+import { pkgUpSync } from 'pkg-up';
+import { BackupError } from './errors.js';
+import { log } from './logger.js';
+
+const STORE_DIR = path.join('.kz', 'backups');
+const JOURNAL = 'journal.json';
+const DEFAULT_KEEP = 50;
+const DEFAULT_MAX_AGE = 30; // days
+
+/**
+ * Start recording the files a command is about to overwrite. Call `save(file)`
+ * before each write and `finish()` once the command is done.
+ * @param {string} command - Command line shown in the history, e.g. `remove app.js lodash`.
+ * @param {object} options - Store options.
+ * @param {string} options.dir - Backup directory (default `.kz/backups` at the project root).
+ * @param {number} options.keep - Number of runs to keep when pruning after the run.
+ * @param {number} options.maxAge - Age in days after which runs are pruned.
+ * @param {string} options.restores - Id of the run this one restores (set by undo/restore).
+ * @returns {object} Session with `id`, `save(file)` and `finish()`.
+ */
+export function createBackupSession(command, options = {}) {
+  const dir = resolveDir(options.dir);
+  const run = {
+    id: createRunId(),
+    time: new Date().toISOString(),
+    command,
+    cwd: process.cwd(),
+    restores: options.restores || null,
+    undone: false,
+    files: [],
+  };
+  const saved = new Set();
+
+  return {
+    id: run.id,
+
+    /**
+     * Copy a file's current contents into the store, once per run.
+     * Files that don't exist yet are recorded so restoring deletes them.
+     * @param {string} filePath - File about to be written.
+     */
+    save(filePath) {
+      const file = path.resolve(filePath);
+      if (saved.has(file)) return;
+      saved.add(file);
+
+      const existed = fs.existsSync(file);
+      const backup = existed ? path.join(run.id, String(run.files.length)) : null;
+
+      try {
+        if (backup) {
+          fs.mkdirSync(path.join(dir, run.id), { recursive: true });
+          fs.copyFileSync(file, path.join(dir, backup));
+        }
+      } catch (err) {
+        throw new BackupError(`Failed to back up ${filePath}: ${err.message}`, {
+          file: filePath,
+          cause: err,
+        });
+      }
+
+      // Only count the file once the journal knows about it, so a failed update isn't retried
+      const entry = { file, existed, backup, hash: null };
+      const recorded = { ...run, files: [...run.files, entry] };
+      updateJournal(dir, (runs) => [...runs.filter((other) => other.id !== run.id), recorded]);
+      run.files.push(entry);
+    },
+
+    /**
+     * Record what each file looks like after the run, so later restores can
+     * tell whether it was edited since, then prune old runs.
+     * @returns {object|null} The recorded run, or null if nothing was written.
+     */
+    finish() {
+      if (run.files.length === 0) return null;
+
+      run.files.forEach((entry) => {
+        entry.hash = hashFile(entry.file);
+      });
+      updateJournal(dir, (runs) => runs.map((entry) => (entry.id === run.id ? run : entry)));
+      pruneBackups({ dir, keep: options.keep, maxAge: options.maxAge });
+
+      return run;
+    },
+  };
+}
+
+/**
+ * List recorded runs, newest first.
+ * @param {object} options - Store options.
+ * @param {string} options.dir - Backup directory.
+ * @returns {object[]} Runs with `id`, `time`, `command`, `files`, `undone` and `restores`.
+ */
+export function listBackups(options = {}) {
+  return readJournal(resolveDir(options.dir)).slice().reverse();
+}
+
+/**
+ * Find the most recent run that can be undone: not undone yet and not itself an undo/restore.
+ * @param {object} options - Store options.
+ * @param {string} options.dir - Backup directory.
+ * @returns {object|null} The run, or null.
+ */
+export function findLastRun(options = {}) {
+  return listBackups(options).find((run) => !run.undone && !run.restores) || null;
+}
+
+/**
+ * Put the files of a run back the way they were before it. The restore is
+ * itself recorded as a run, so it can be reverted with `kz restore <id>`.
+ * @param {string} id - Run id (a unique prefix is enough).
+ * @param {object} options - Restore options.
+ * @param {string} options.dir - Backup directory.
+ * @param {string[]} options.files - Only restore these files.
+ * @param {boolean} options.force - Restore files even if they were edited after the run.
+ * @returns {object} `{ run, session, restored, skipped }`.
+ * @throws {BackupError} If the run doesn't exist or a file can't be restored.
+ */
+export function restoreBackup(id, options = {}) {
+  const dir = resolveDir(options.dir);
+  const run = findRun(dir, id);
+  const only = options.files ? options.files.map((file) => path.resolve(file)) : null;
+  const entries = run.files.filter((entry) => !only || only.includes(entry.file));
+
+  if (only && entries.length === 0) {
+    throw new BackupError(`None of the given files are part of run ${run.id}`);
+  }
+
+  const session = createBackupSession(`restore ${run.id}`, { ...options, restores: run.id });
+  const restored = [];
+  const skipped = [];
+
+  entries.forEach((entry) => {
+    try {
+      const current = fs.existsSync(entry.file) ? hashFile(entry.file) : null;
+      if (!options.force && entry.hash && current !== entry.hash) {
+        skipped.push({ file: entry.file, reason: 'modified since the run' });
+        return;
+      }
+
+      session.save(entry.file);
+      if (entry.existed) {
+        fs.copyFileSync(path.join(dir, entry.backup), entry.file);
+      } else if (fs.existsSync(entry.file)) {
+        fs.unlinkSync(entry.file);
+      }
+    } catch (err) {
+      // Keep what was restored so far revertible
+      session.finish();
+      if (err instanceof BackupError) throw err;
+      throw new BackupError(`Failed to restore ${entry.file}: ${err.message}`, {
+        file: entry.file,
+        cause: err,
+      });
+    }
+    restored.push(entry.file);
+  });
+
+  session.finish();
+  if (skipped.length === 0 && !only) {
+    updateJournal(dir, (runs) =>
+      runs.map((entry) => (entry.id === run.id ? { ...entry, undone: true } : entry)),
+    );
+  }
+
+  return { run, session: session.id, restored, skipped };
+}
+
+/**
+ * Delete old runs: everything beyond the newest `keep`, and anything older than `maxAge` days.
+ * @param {object} options - Retention options.
+ * @param {string} options.dir - Backup directory.
+ * @param {number} options.keep - Number of runs to keep (default 50).
+ * @param {number} options.maxAge - Maximum age in days (default 30, 0 disables the age limit).
+ * @param {boolean} options.all - Delete every run.
+ * @returns {object[]} The runs that were deleted.
+ */
+export function pruneBackups(options = {}) {
+  const dir = resolveDir(options.dir);
+  const keep = options.all ? 0 : (options.keep ?? DEFAULT_KEEP);
+  const maxAge = options.maxAge ?? DEFAULT_MAX_AGE;
+  const cutoff = maxAge > 0 ? Date.now() - maxAge * 24 * 60 * 60 * 1000 : -Infinity;
+
+  const runs = readJournal(dir);
+  const newestFirst = runs.slice().reverse();
+  const expired = newestFirst.filter(
+    (run, index) => index >= keep || Date.parse(run.time) < cutoff,
+  );
+  if (expired.length === 0) return [];
+
+  const ids = new Set(expired.map((run) => run.id));
+  updateJournal(dir, (current) => current.filter((run) => !ids.has(run.id)));
+  expired.forEach((run) => fs.rmSync(path.join(dir, run.id), { recursive: true, force: true }));
+
+  return expired;
+}
+
+/**
+ * Print recorded runs as a table.
+ * @param {object[]} runs - Runs returned by listBackups.
+ */
+export function printHistory(runs) {
+  if (runs.length === 0) {
+    log.info(chalk.gray('No backups recorded yet.'));
+    return;
+  }
+
+  log.info(chalk.cyan(`🕘 Backup history (newest first):`));
+  runs.forEach((run) => {
+    const time = run.time.replace('T', ' ').slice(0, 16);
+    const state = run.undone ? chalk.yellow(' [undone]') : '';
+    const files = `${run.files.length} file(s)`;
+    log.info(
+      ` - ${chalk.green(run.id)}  ${chalk.gray(time)}  kz ${run.command}  ${chalk.blue(files)}${state}`,
+    );
+  });
+}
+
+/**
+ * Print the outcome of restoreBackup.
+ * @param {object} result - Result returned by restoreBackup.
+ */
+export function printRestore(result) {
+  result.restored.forEach((file) => {
+    log.info(chalk.green(`✔ Restored ${path.relative(process.cwd(), file) || file}`));
+  });
+
+  if (result.skipped.length > 0) {
+    result.skipped.forEach(({ file, reason }) => {
+      log.warn(chalk.yellow(`⚠ Skipped ${path.relative(process.cwd(), file)}: ${reason}`));
+    });
+    log.warn(chalk.gray(`💡 Tip: Use --force to restore them anyway.`));
+  }
+
+  if (result.restored.length > 0) {
+    log.info(
+      chalk.gray(`📋 Reverted ${result.run.id}; undo this with \`kz restore ${result.session}\``),
+    );
+  }
+}
+
+// The store lives at the project root (next to the nearest package.json), or in the cwd
+function resolveDir(dir) {
+  if (dir) return path.resolve(dir);
+  const pkgPath = pkgUpSync();
+  return path.join(pkgPath ? path.dirname(pkgPath) : process.cwd(), STORE_DIR);
+}
+
+// Sortable and readable: 20240131-154502-3f9a
+function createRunId() {
+  const stamp = new Date().toISOString().replace(/[-:]/g, '').replace('T', '-').slice(0, 15);
+  return `${stamp}-${crypto.randomBytes(2).toString('hex')}`;
+}
+
+function hashFile(file) {
+  if (!fs.existsSync(file)) return null;
+  return crypto.createHash('sha1').update(fs.readFileSync(file)).digest('hex');
+}
+
+function findRun(dir, id) {
+  const matches = readJournal(dir).filter((run) => run.id.startsWith(id));
+  if (matches.length === 1) return matches[0];
+
+  throw new BackupError(
+    matches.length === 0 ? `No backup run '${id}'` : `Backup id '${id}' is ambiguous`,
+  );
+}
+
+function readJournal(dir) {
+  const file = path.join(dir, JOURNAL);
+  if (!fs.existsSync(file)) return [];
+
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8')).runs || [];
+  } catch (err) {
+    throw new BackupError(`Backup journal ${file} is corrupt: ${err.message}`, { file });
+  }
+}
+
+// Writes go through a temp file so an interrupted command can't truncate the journal
+function updateJournal(dir, update) {
+  const file = path.join(dir, JOURNAL);
+  const runs = update(readJournal(dir));
+
+  try {
+    fs.mkdirSync(dir, { recursive: true });
+
+    // Keep the store out of version control
+    const storeRoot = path.dirname(dir);
+    const gitignore = path.join(storeRoot, '.gitignore');
+    if (path.basename(storeRoot) === '.kz' && !fs.existsSync(gitignore)) {
+      fs.writeFileSync(gitignore, '*\n', 'utf8');
+    }
+
+    const temp = `${file}.tmp`;
+    fs.writeFileSync(temp, JSON.stringify({ version: 1, runs }, null, 2));
+    fs.renameSync(temp, file);
+  } catch (err) {
+    throw new BackupError(`Failed to update backup journal ${file}: ${err.message}`, {
+      file,
+      cause: err,
+    });
+  }
+}
@@ -0,0 +1,76 @@
+import chalk from 'chalk';
+import { resolveFiles, mapConcurrent } from './utils.js';
+import { log } from './logger.js';
+
+const DEFAULT_CONCURRENCY = 4;
+
+/**
+ * Run a per-file command over every file matched by the given inputs.
+ * @param {string|string[]} inputs - Files, directories or glob patterns.
+ * @param {Function} task - Async function called with a file path, returning a result object.
+ * @param {object} options - Batch options.
+ * @param {string[]} options.ignore - Extra glob patterns to exclude.
+ * @param {number} options.concurrency - Maximum files processed at once.
+ * @returns {Promise<object>} Aggregated summary of all results.
+ */
+export async function processFiles(inputs, task, options = {}) {
+  const files = await resolveFiles(inputs, { ignore: options.ignore });
+  log.debug(`Resolved ${files.length} file(s) from ${[].concat(inputs).join(', ')}`);
+
+  if (files.length === 0) {
+    log.warn(chalk.yellow(`⚠ No files matched ${[].concat(inputs).join(', ')}`));
+  }
+
+  const results = await mapConcurrent(
+    files,
+    options.concurrency || DEFAULT_CONCURRENCY,
+    async (file) => {
+      try {
+        return await task(file);
+      } catch (err) {
+        return { file, changed: false, error: err.message, errorCode: err.code };
+      }
+    },
+  );
+
+  return summarize(results);
+}
+
+function summarize(results) {
+  return {
+    files: results.length,
+    dryRun: results.some((result) => result.dryRun),
+    changed: results.filter((result) => result.changed).length,
+    removedCount: results.reduce((sum, result) => sum + (result.removedCount || 0), 0),
+    savedBytes: results.reduce((sum, result) => sum + (result.savedBytes || 0), 0),
+    failures: results.filter((result) => result.error).map(({ file, error }) => ({ file, error })),
+    results,
+  };
+}
+
+/**
+ * Print an aggregated summary produced by processFiles.
+ * @param {object} summary - Batch summary.
+ */
+export function printSummary(summary) {
+  log.info('');
+  log.info(chalk.cyan(`📊 Summary`));
+  log.info(chalk.cyan(`📁 Files processed: ${summary.files}`));
+  const would = summary.dryRun ? 'that would be ' : '';
+  log.info(chalk.green(`✔ Files ${would}changed: ${summary.changed}`));
+  if (summary.removedCount > 0) {
+    log.info(chalk.green(`🗑️ References ${would}removed: ${summary.removedCount}`));
+  }
+  log.info(
+    chalk.blue(
+      `💾 Bytes ${would}saved: ${summary.savedBytes} (${(summary.savedBytes / 1024).toFixed(2)} KB)`,
+    ),
+  );
+
+  if (summary.failures.length > 0) {
+    log.error(chalk.red(`✖ Failures: ${summary.failures.length}`));
+    summary.failures.forEach(({ file, error }) => {
+      log.error(' -', chalk.red(file), chalk.gray(error));
+    });
+  }
+}
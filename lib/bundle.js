@@ -1,34 +1,832 @@
 import fs from 'fs';
 import path from 'path';
+import crypto from 'crypto';
+import { builtinModules } from 'module';
 import esbuild from 'esbuild';
 import chalk from 'chalk';
-import { getPackageVersion } from './utils.js'; // دالة تجيب الإصدار
+import { resolvePackageVersion } from './versions.js';
+import { resolveCdnUrls, createCdnSnippet } from './cdn.js';
+import { libraryGlobal } from './signatures.js';
+import { buildBundleReport, printBundleReport, writeTreemap } from './stats.js';
+import { KzError, BundleError, InvalidOptionError } from './errors.js';
+import { timestamp } from './watch.js';
+import { getPackageName, toIdentifier } from './utils.js';
+import { log } from './logger.js';
+
+const FORMATS = ['esm', 'cjs', 'iife', 'umd'];
+const PLATFORMS = ['browser', 'node', 'neutral'];
+const IDENTIFIER = /^[A-Za-z_$][\w$]*$/;
+
+// Grouped bundles: esbuild only splits ESM; iife/cjs get a hand-built common chunk
+const GROUP_FORMATS = ['esm', 'iife', 'cjs'];
+const COMMON_CHUNK = 'common';
+
+/**
+ * Bundle npm packages into a single file that exposes each package's exports,
+ * printing progress and the optional size report.
+ * @param {string[]} packages - Packages to include.
+ * @param {object} options - Bundle options.
+ * @param {string} options.outputFile - Output file name.
+ * @param {boolean} options.minify - If true, minify the bundle.
+ * @param {string} options.format - Output format: 'esm', 'cjs', 'iife' or 'umd'.
+ * @param {string} options.platform - esbuild platform: 'browser', 'node' or 'neutral'.
+ * @param {string|string[]} options.target - esbuild target(s), e.g. 'es2017' or 'chrome58'.
+ * @param {string} options.globalName - Global the iife/umd bundle is assigned to.
+ * @param {object} options.exposeAs - Export name per package, e.g. `{ jquery: '$' }`.
+ * @param {string[]} options.external - Packages left out of the bundle, as `name` or `name=Global`.
+ *   iife/umd bundles read them from that global (default: the library's usual global).
+ * @param {boolean|string} options.cdn - Write a snippet loading the external packages from a CDN,
+ *   optionally with a URL template using `{name}` and `{version}`.
+ * @param {string} options.cdnSnippet - Path of that snippet (default: `<outputFile>.cdn.html`);
+ *   a .js path writes a loader script instead of HTML.
+ * @param {boolean} options.sourceMap - If true, write `<outputFile>.map` next to the bundle.
+ * @param {boolean|string} options.metafile - Write esbuild's metafile (to this path, or `<outputFile>.meta.json`).
+ * @param {boolean} options.report - If true, print per-package sizes and duplicate packages.
+ * @param {string} options.treemap - Path of a standalone HTML treemap to write.
+ * @param {object} options.groups - Packages per output file, e.g. `{ charts: ['chart.js', 'd3'] }`;
+ *   packages in no group form one more group named after `outputFile`.
+ * @param {string} options.outDir - Directory for grouped bundles (default: the directory of `outputFile`).
+ * @param {string} options.manifest - Manifest path for grouped bundles (default: `<outDir>/manifest.json`).
+ * @returns {Promise<object|null>} The bundle report when requested, the manifest for grouped
+ *   bundles, otherwise null; `{ error, errorCode }` if the bundle failed.
+ */
+export async function bundlePackages(packages, options = {}) {
+  try {
+    const result = await buildBundle(packages, options);
+    if (options.groups) {
+      printGroupedBundle(result);
+      return result.manifest;
+    }
+    printBundle(result, options);
+    return result.report || null;
+  } catch (err) {
+    log.error(chalk.red(`✖ Failed to create bundle: ${err.message}`));
+    log.debug(err.stack);
+    return { error: err.message, errorCode: err.code };
+  }
+}
+
+/**
+ * Bundle packages like bundlePackages, then keep rebuilding on changes and print a
+ * timestamped line per rebuild.
+ * @param {string[]} packages - Packages to include.
+ * @param {object} options - Bundle options (see bundlePackages).
+ * @returns {Promise<object|null>} Watcher with an async `close()`, or null if the first build failed.
+ */
+export async function watchBundlePackages(packages, options = {}) {
+  let builds = 0;
 
-export async function bundlePackages(packages, outputFile = 'bundle.js', minify = false) {
   try {
-    console.log(chalk.cyan(`📦 Preparing bundle for packages:`));
-    packages.forEach((pkg) => {
-      console.log(` - ${chalk.green(pkg)} (v${getPackageVersion(pkg)})`);
+    return await watchBundle(packages, {
+      ...options,
+      onBuild(result, duration) {
+        builds++;
+        if (builds === 1) {
+          printBundle(result, options);
+          return;
+        }
+
+        result.warnings.forEach((warning) => log.warn(chalk.yellow(`⚠ ${warning}`)));
+        log.info(
+          timestamp(),
+          chalk.green(`✔ Rebuilt ${result.outputFile}`),
+          chalk.gray(`in ${duration}ms`),
+        );
+        if (options.report) printBundleReport(result.report);
+      },
+      onError(err) {
+        log.error(timestamp(), chalk.red(`✖ Rebuild failed: ${err.message}`));
+      },
     });
+  } catch (err) {
+    log.error(chalk.red(`✖ Failed to create bundle: ${err.message}`));
+    return null;
+  }
+}
 
-    const tempFile = path.join(process.cwd(), '__temp_entry.js');
-    const importCode = packages.map((pkg) => `import '${pkg}';`).join('\n');
-    fs.writeFileSync(tempFile, importCode);
+function printBundle(result, options) {
+  result.warnings.forEach((warning) => log.warn(chalk.yellow(`⚠ ${warning}`)));
 
-    await esbuild.build({
-      entryPoints: [tempFile],
-      bundle: true,
-      platform: 'browser',
-      outfile: outputFile,
-      minify,
-      format: 'iife',
-      globalName: 'VendorBundle',
+  log.info(chalk.cyan(`📦 Bundled packages:`));
+  result.packages.forEach((pkg) => {
+    const others = pkg.versions.filter((version) => version !== pkg.version);
+    const duplicates = others.length
+      ? chalk.yellow(` ⚠ also installed: ${others.join(', ')}`)
+      : '';
+    log.info(
+      ` - ${chalk.green(pkg.name)} (v${pkg.version})`,
+      chalk.gray(`→ ${pkg.exportName}`) + duplicates,
+    );
+  });
+
+  const isScript = result.format === 'iife' || result.format === 'umd';
+  if (result.externals.length > 0) {
+    log.info(chalk.cyan(`🔗 External packages:`));
+    result.externals.forEach((external) => {
+      const source = external.url || (isScript ? `window.${external.global}` : 'import');
+      log.info(` - ${chalk.yellow(external.name)}`, chalk.gray(`← ${source}`));
+    });
+  }
+
+  log.info(chalk.green(`✔ Bundle created successfully: ${result.outputFile}`));
+  if (isScript) {
+    const names = result.packages.map((pkg) => pkg.exportName).join(', ');
+    log.info(chalk.gray(`🌐 Exposed as ${result.globalName}.{${names}}`));
+  }
+
+  if (result.metafilePath) log.info(chalk.gray(`📋 Metafile written: ${result.metafilePath}`));
+  if (result.snippetPath) log.info(chalk.gray(`🌍 CDN snippet written: ${result.snippetPath}`));
+  if (options.report) printBundleReport(result.report);
+  if (options.treemap) log.info(chalk.gray(`🗺️ Treemap written: ${options.treemap}`));
+}
+
+/**
+ * Build the bundle without logging. Takes the same options as bundlePackages, plus
+ * `write: false` to get the bundle back instead of writing it.
+ * @param {string[]} packages - Packages to include.
+ * @param {object} options - Bundle options (see bundlePackages).
+ * @param {boolean} options.write - If false, return the output as `code` (and `map`) instead of writing it.
+ * @param {object} options.backup - Backup session existing output files are saved to once the
+ *   build has succeeded, before they are overwritten.
+ * @returns {Promise<object>} `{ outputFile, format, globalName, packages, externals, snippetPath,
+ *   metafile, report, warnings, code, map, snippet }`.
+ * @throws {InvalidOptionError} If the format, platform, global or export names are invalid.
+ * @throws {BundleError} If esbuild fails.
+ */
+export async function buildBundle(packages, options = {}) {
+  if (options.groups) return buildGroupedBundle(packages, options);
+  const build = prepareBuild(packages, options);
+
+  let result;
+  try {
+    result = await esbuild.build(build.config);
+  } catch (err) {
+    throw toBundleError(err);
+  }
+
+  return build.collect(result);
+}
+
+/**
+ * Build the bundle, then rebuild it whenever one of its input files changes,
+ * using an incremental esbuild context.
+ * @param {string[]} packages - Packages to include.
+ * @param {object} options - Bundle options (see buildBundle).
+ * @param {Function} options.onBuild - Called with the result (as returned by buildBundle) and
+ *   the build time in ms after every successful build.
+ * @param {Function} options.onError - Called with a BundleError when a rebuild fails.
+ * @returns {Promise<object>} Watcher with an async `close()` that disposes the context.
+ * @throws {InvalidOptionError} If the format, platform, global or export names are invalid.
+ * @throws {BundleError} If the first build fails (the context is disposed).
+ */
+export async function watchBundle(packages, options = {}) {
+  if (options.groups) throw new InvalidOptionError('Grouped bundles cannot be watched');
+  const build = prepareBuild(packages, options);
+  const { onBuild = () => {}, onError = () => {} } = options;
+  let startedAt = 0;
+  let firstBuild;
+  const built = new Promise((resolve) => {
+    firstBuild = resolve;
+  });
+
+  const reporter = {
+    name: 'kz-watch',
+    setup(builder) {
+      builder.onStart(() => {
+        startedAt = Date.now();
+      });
+      builder.onEnd((result) => {
+        let error = null;
+        if (result.errors.length > 0) {
+          error = toBundleError({ errors: result.errors, message: 'Build failed' });
+        } else {
+          try {
+            onBuild(build.collect(result), Date.now() - startedAt);
+          } catch (err) {
+            error = err;
+          }
+        }
+
+        // The first build's failure is thrown by watchBundle; later ones go to onError
+        if (firstBuild) {
+          firstBuild(error);
+          firstBuild = null;
+        } else if (error) {
+          onError(error);
+        }
+      });
+    },
+  };
+
+  let context;
+  try {
+    context = await esbuild.context({
+      ...build.config,
+      plugins: [...build.config.plugins, reporter],
     });
+    await context.watch();
+    // Return once the initial build has been reported, so callers print after it
+    const error = await built;
+    if (error) throw error;
+  } catch (err) {
+    if (context) await context.dispose();
+    throw err instanceof KzError ? err : toBundleError(err);
+  }
+
+  return {
+    async close() {
+      await context.dispose();
+    },
+  };
+}
+
+// Validate the options and back up what will be overwritten; `collect` turns an esbuild
+// result into the bundle result, writing the metafile, treemap and CDN snippet
+function prepareBuild(requested, options) {
+  const { outputFile = 'bundle.js', minify = false, sourceMap = false, write = true } = options;
+  const { metafile = false, report = false, treemap } = options;
+  const { format = 'iife', platform = 'browser', target, globalName = 'VendorBundle' } = options;
+  const needsMetafile = Boolean(metafile || report || treemap);
+
+  if (!Array.isArray(requested) || requested.length === 0) {
+    throw new InvalidOptionError('At least one package is required');
+  }
+
+  const externals = parseExternals(options.external || []);
+  const packages = requested.filter((pkg) => !externals.some((external) => external.name === pkg));
+  if (packages.length === 0) {
+    throw new InvalidOptionError('Every package is external; there is nothing to bundle');
+  }
+
+  checkBuildOptions(format, platform, globalName);
+
+  const exportNames = resolveExportNames(packages, options.exposeAs || {});
+  const metafilePath = typeof metafile === 'string' ? metafile : `${outputFile}.meta.json`;
+
+  const snippetFile =
+    options.cdnSnippet || (options.cdn ? `${outputFile.replace(/\.[cm]?js$/, '')}.cdn.html` : null);
+  const cdnExternals = snippetFile
+    ? resolveCdnUrls(externals, format, typeof options.cdn === 'string' ? options.cdn : null)
+    : externals;
+  const snippet = snippetFile
+    ? createCdnSnippet(cdnExternals, { snippetFile, outputFile, format })
+    : null;
+
+  // Script bundles can't import, so external packages come from the globals their CDN builds set
+  const isScript = format === 'iife' || format === 'umd';
+
+  const config = {
+    // The entry lives in memory, so concurrent runs in one directory don't clash
+    stdin: {
+      contents: createEntry(packages, exportNames),
+      resolveDir: process.cwd(),
+      sourcefile: 'kz-entry.js',
+      loader: 'js',
+    },
+    bundle: true,
+    platform,
+    // esbuild ignores `main` on the neutral platform unless asked to use it
+    mainFields: platform === 'neutral' ? ['module', 'main'] : undefined,
+    target,
+    external: isScript ? [] : externals.map((external) => external.name),
+    plugins: isScript && externals.length > 0 ? [externalGlobals(externals)] : [],
+    outfile: outputFile,
+    // Outputs are written by `collect`, so nothing is backed up or overwritten by a failed build
+    write: false,
+    logLevel: 'silent',
+    minify,
+    sourcemap: sourceMap,
+    // esbuild has no UMD output, so UMD wraps the CommonJS build
+    format: format === 'umd' ? 'cjs' : format,
+    globalName: format === 'iife' ? globalName : undefined,
+    ...(format === 'umd' ? umdWrapper(globalName) : {}),
+    metafile: needsMetafile,
+  };
+
+  const collect = (result) => {
+    const bundle = {
+      outputFile,
+      format,
+      globalName,
+      packages: packages.map((pkg) => {
+        const { version, versions } = resolvePackageVersion(pkg);
+        return { name: pkg, version, versions, exportName: exportNames[pkg] };
+      }),
+      externals: cdnExternals,
+      snippetPath: null,
+      metafile: result.metafile || null,
+      metafilePath: null,
+      report: null,
+      warnings: result.warnings.map((warning) => warning.text),
+    };
+
+    const outputs = result.outputFiles || [];
+    const backup = (file) => options.backup && options.backup.save(file);
+    if (write) {
+      if (metafile) backup(metafilePath);
+      if (snippet) backup(snippetFile);
+      writeOutputs(outputs, options.backup);
+    } else {
+      const find = (suffix) => outputs.find((file) => file.path.endsWith(suffix));
+      bundle.code = find(path.basename(outputFile))?.text ?? null;
+      bundle.map = sourceMap ? JSON.parse(find(`${path.basename(outputFile)}.map`).text) : null;
+    }
+
+    if (metafile && write) {
+      bundle.metafilePath = metafilePath;
+      fs.writeFileSync(bundle.metafilePath, JSON.stringify(result.metafile, null, 2), 'utf8');
+    }
+
+    if (report || treemap) {
+      bundle.report = buildBundleReport(result.metafile, outputFile);
+      if (treemap) {
+        backup(treemap);
+        writeTreemap(bundle.report, treemap);
+      }
+    }
+
+    if (snippet) {
+      if (write) {
+        fs.writeFileSync(snippetFile, snippet, 'utf8');
+        bundle.snippetPath = snippetFile;
+      } else {
+        bundle.snippet = snippet;
+      }
+    }
+
+    return bundle;
+  };
+
+  return { config, collect };
+}
+
+// Write esbuild's in-memory outputs once the build has succeeded, backing up what they replace
+function writeOutputs(outputs, backup) {
+  outputs.forEach((output) => {
+    if (backup) backup.save(path.relative(process.cwd(), output.path));
+    fs.mkdirSync(path.dirname(output.path), { recursive: true });
+    fs.writeFileSync(output.path, output.contents);
+  });
+}
+
+function checkBuildOptions(format, platform, globalName) {
+  if (!FORMATS.includes(format)) {
+    throw new InvalidOptionError(`Unknown format '${format}' (expected ${FORMATS.join(', ')})`);
+  }
+  if (!PLATFORMS.includes(platform)) {
+    throw new InvalidOptionError(
+      `Unknown platform '${platform}' (expected ${PLATFORMS.join(', ')})`,
+    );
+  }
+  if (!IDENTIFIER.test(globalName)) {
+    throw new InvalidOptionError(`Invalid global name '${globalName}'`);
+  }
+}
+
+// `jquery=jQuery` names the global explicitly; otherwise the library's usual global
+function parseExternals(list) {
+  return list.map((entry) => {
+    const [name, global] = entry.split('=').map((part) => part.trim());
+    const resolved = global || libraryGlobal(name) || toIdentifier(name);
+    if (!IDENTIFIER.test(resolved)) {
+      throw new InvalidOptionError(`Invalid global name '${resolved}' for external '${name}'`);
+    }
+    return { name, global: resolved };
+  });
+}
 
-    fs.unlinkSync(tempFile);
+// Resolve imports of external packages (and their subpaths) to the global they define
+function externalGlobals(externals) {
+  const escaped = externals.map((external) => external.name.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+  return {
+    name: 'kz-external-globals',
+    setup(builder) {
+      builder.onResolve({ filter: new RegExp(`^(?:${escaped.join('|')})(?:/.*)?$`) }, (args) => ({
+        path: args.path,
+        namespace: 'kz-external',
+      }));
+      builder.onLoad({ filter: /.*/, namespace: 'kz-external' }, (args) => {
+        const external = externals.find(
+          ({ name }) => args.path === name || args.path.startsWith(`${name}/`),
+        );
+        return { contents: `module.exports = globalThis[${JSON.stringify(external.global)}];` };
+      });
+    },
+  };
+}
+
+/**
+ * Build one file per group of packages. Dependencies used by more than one group go into
+ * a common chunk: esbuild's code splitting for ESM, otherwise a `common.js` loaded first
+ * that the group files read shared packages from. A manifest maps each package to its
+ * file and the file's content hash.
+ * @param {string[]} packages - Packages in no group.
+ * @param {object} options - Bundle options (see bundlePackages).
+ * @returns {Promise<object>} `{ outDir, format, globalName, groups, files, externals, manifest,
+ *   manifestPath, warnings }`.
+ */
+async function buildGroupedBundle(packages, options) {
+  const { outputFile = 'bundle.js', minify = false, sourceMap = false, write = true } = options;
+  const { format = 'iife', platform = 'browser', target, globalName = 'VendorBundle' } = options;
+  const outDir = options.outDir || path.dirname(outputFile);
+  const manifestPath = options.manifest || path.join(outDir, 'manifest.json');
+
+  checkBuildOptions(format, platform, globalName);
+  if (!GROUP_FORMATS.includes(format)) {
+    throw new InvalidOptionError(
+      `Grouped bundles support ${GROUP_FORMATS.join(', ')} output, not '${format}'`,
+    );
+  }
+  ['metafile', 'report', 'treemap', 'cdn', 'cdnSnippet'].forEach((key) => {
+    if (options[key]) throw new InvalidOptionError(`'${key}' cannot be combined with groups`);
+  });
 
-    console.log(chalk.green(`✔ Bundle created successfully: ${outputFile}`));
+  const externals = parseExternals(options.external || []);
+  const groups = resolveGroups(packages, options, externals);
+  const exposeAs = options.exposeAs || {};
+  Object.keys(exposeAs).forEach((pkg) => {
+    if (!groups.some((group) => group.packages.includes(pkg)))
+      throw new InvalidOptionError(`Cannot expose '${pkg}': it is not bundled`);
+  });
+  groups.forEach((group) => {
+    const own = Object.entries(exposeAs).filter(([pkg]) => group.packages.includes(pkg));
+    group.exportNames = resolveExportNames(group.packages, Object.fromEntries(own));
+    group.entry = createEntry(group.packages, group.exportNames);
+  });
+
+  const isScript = format === 'iife';
+  const base = {
+    bundle: true,
+    platform,
+    mainFields: platform === 'neutral' ? ['module', 'main'] : undefined,
+    target,
+    external: isScript ? [] : externals.map((external) => external.name),
+    write: false,
+    logLevel: 'silent',
+    minify,
+    sourcemap: sourceMap,
+    metafile: true,
+  };
+  const externalPlugins = isScript && externals.length > 0 ? [externalGlobals(externals)] : [];
+  const stdin = (contents, sourcefile) => ({
+    contents,
+    resolveDir: process.cwd(),
+    sourcefile,
+    loader: 'js',
+  });
+
+  const results = [];
+  try {
+    if (format === 'esm') {
+      results.push(
+        await esbuild.build({
+          ...base,
+          format,
+          splitting: true,
+          outdir: outDir,
+          entryPoints: Object.fromEntries(groups.map((group) => [group.name, group.name])),
+          entryNames: '[name]',
+          chunkNames: `${COMMON_CHUNK}-[hash]`,
+          plugins: [groupEntries(groups)],
+        }),
+      );
+    } else {
+      const shared = await findSharedImports(
+        groups,
+        { ...base, plugins: externalPlugins },
+        {
+          stdin,
+          externals,
+        },
+      );
+      if (shared.length > 0) {
+        results.push(
+          await esbuild.build({
+            ...base,
+            format,
+            stdin: stdin(createCommonEntry(shared), 'kz-common.js'),
+            outfile: path.join(outDir, `${COMMON_CHUNK}.js`),
+            globalName: isScript ? `${globalName}.${COMMON_CHUNK}` : undefined,
+            plugins: externalPlugins,
+          }),
+        );
+      }
+      for (const group of groups) {
+        results.push(
+          await esbuild.build({
+            ...base,
+            format,
+            stdin: stdin(group.entry, `kz-${group.name}.js`),
+            outfile: path.join(outDir, `${group.name}.js`),
+            globalName: isScript ? `${globalName}.${group.name}` : undefined,
+            plugins: [sharedImports(shared, format, globalName), ...externalPlugins],
+          }),
+        );
+      }
+    }
   } catch (err) {
-    console.error(chalk.red(`✖ Failed to create bundle: ${err.message}`));
+    throw toBundleError(err);
+  }
+
+  // Output paths relative to the output directory, as the manifest and the page use them
+  const relative = (file) => path.relative(outDir, file).split(path.sep).join('/');
+  const metaKey = (file) => path.relative(process.cwd(), file).split(path.sep).join('/');
+  const outputs = results.flatMap((result) => result.outputFiles);
+  const metaOutputs = Object.assign({}, ...results.map((result) => result.metafile.outputs));
+
+  const files = outputs
+    .filter((output) => !output.path.endsWith('.map'))
+    .map((output) => {
+      const meta = metaOutputs[metaKey(output.path)] || { inputs: {}, imports: [] };
+      const group = groups.find(
+        (entry) => path.resolve(outDir, `${entry.name}.js`) === output.path,
+      );
+      const imports = meta.imports
+        .filter((entry) => !entry.external && entry.kind === 'import-statement')
+        .map((entry) => relative(path.resolve(entry.path)));
+      if (group && group.usesCommon) imports.push(`${COMMON_CHUNK}.js`);
+
+      return {
+        file: relative(output.path),
+        group: group ? group.name : null,
+        hash: crypto.createHash('sha256').update(output.contents).digest('hex').slice(0, 16),
+        bytes: output.contents.length,
+        packages: group ? group.packages : packagesIn(meta.inputs),
+        imports,
+      };
+    });
+
+  const manifest = { format, files: {}, packages: {} };
+  files.forEach(({ file, hash, bytes, packages: contents, imports }) => {
+    manifest.files[file] = { hash, bytes, packages: contents, imports };
+  });
+  const resultGroups = groups.map((group) => {
+    const file = files.find((entry) => entry.group === group.name);
+    return {
+      name: group.name,
+      file: file.file,
+      imports: file.imports,
+      packages: group.packages.map((pkg) => {
+        const { version, versions } = resolvePackageVersion(pkg);
+        manifest.packages[pkg] = { version, group: group.name, file: file.file, hash: file.hash };
+        return { name: pkg, version, versions, exportName: group.exportNames[pkg] };
+      }),
+    };
+  });
+
+  if (write) {
+    if (options.backup) options.backup.save(manifestPath);
+    writeOutputs(outputs, options.backup);
+    fs.mkdirSync(path.dirname(manifestPath), { recursive: true });
+    fs.writeFileSync(manifestPath, `${JSON.stringify(manifest, null, 2)}\n`, 'utf8');
+  } else {
+    files.forEach((entry) => {
+      entry.code = outputs.find((output) => relative(output.path) === entry.file).text;
+    });
+  }
+
+  return {
+    outDir,
+    format,
+    globalName,
+    groups: resultGroups,
+    files,
+    externals,
+    manifest,
+    manifestPath: write ? manifestPath : null,
+    warnings: results.flatMap((result) => result.warnings.map((warning) => warning.text)),
+  };
+}
+
+function printGroupedBundle(result) {
+  result.warnings.forEach((warning) => log.warn(chalk.yellow(`⚠ ${warning}`)));
+
+  log.info(chalk.cyan(`📦 Bundle groups:`));
+  result.files.forEach((file) => {
+    const size = chalk.gray(`${(file.bytes / 1024).toFixed(2)} KB`);
+    const group = result.groups.find((entry) => entry.name === file.group);
+    const contents = group
+      ? group.packages.map((pkg) => `${pkg.name} (v${pkg.version})`).join(', ')
+      : `shared: ${file.packages.join(', ') || 'runtime'}`;
+    const imports = file.imports.length ? chalk.gray(` ← ${file.imports.join(', ')}`) : '';
+    log.info(` - ${chalk.green(file.file)} ${size}`, contents + imports);
+  });
+
+  if (result.externals.length > 0) {
+    log.info(chalk.cyan(`🔗 External packages:`));
+    result.externals.forEach((external) => {
+      const source = result.format === 'iife' ? `window.${external.global}` : 'import';
+      log.info(` - ${chalk.yellow(external.name)}`, chalk.gray(`← ${source}`));
+    });
+  }
+
+  log.info(chalk.green(`✔ Bundles created successfully in ${result.outDir}`));
+  if (result.format === 'iife') {
+    result.groups.forEach((group) => {
+      const names = group.packages.map((pkg) => pkg.exportName).join(', ');
+      log.info(chalk.gray(`🌐 Exposed as ${result.globalName}.${group.name}.{${names}}`));
+    });
+  }
+  if (result.manifestPath) log.info(chalk.gray(`📋 Manifest written: ${result.manifestPath}`));
+}
+
+// Named groups plus one for the packages in none, named after the output file
+function resolveGroups(packages, options, externals) {
+  const isExternal = (pkg) => externals.some((external) => external.name === pkg);
+  const groups = Object.entries(options.groups).map(([name, list]) => ({
+    name,
+    packages: [].concat(list).flatMap((item) => item.split(',').map((pkg) => pkg.trim())),
+  }));
+
+  const grouped = new Set(groups.flatMap((group) => group.packages));
+  const rest = packages.filter((pkg) => !grouped.has(pkg));
+  if (rest.length > 0) {
+    const name = path.basename(options.outputFile || 'bundle.js').replace(/\.[cm]?js$/, '');
+    if (groups.some((group) => group.name === name)) {
+      throw new InvalidOptionError(`Group '${name}' would also hold the ungrouped packages`);
+    }
+    groups.push({ name, packages: rest });
   }
+
+  if (groups.length === 0) throw new InvalidOptionError('At least one package is required');
+  groups.forEach((group) => {
+    if (!IDENTIFIER.test(group.name) || group.name === COMMON_CHUNK) {
+      throw new InvalidOptionError(`Invalid group name '${group.name}'`);
+    }
+    group.packages = group.packages.filter((pkg) => pkg && !isExternal(pkg));
+    if (group.packages.length === 0) {
+      throw new InvalidOptionError(`Group '${group.name}' has no packages to bundle`);
+    }
+  });
+
+  return groups;
+}
+
+// Entry points for ESM splitting: one in-memory module per group
+function groupEntries(groups) {
+  return {
+    name: 'kz-group-entries',
+    setup(builder) {
+      builder.onResolve({ filter: /.*/ }, (args) =>
+        args.kind === 'entry-point' ? { path: args.path, namespace: 'kz-group' } : undefined,
+      );
+      builder.onLoad({ filter: /.*/, namespace: 'kz-group' }, (args) => ({
+        contents: groups.find((group) => group.name === args.path).entry,
+        resolveDir: process.cwd(),
+        loader: 'js',
+      }));
+    },
+  };
+}
+
+// Build each group once without output to see which packages more than one group imports;
+// every specifier those packages are imported by (`lodash`, `lodash/map`) goes to the common chunk
+async function findSharedImports(groups, config, { stdin, externals }) {
+  const usage = new Map(); // package → { groups, specifiers }
+
+  for (const group of groups) {
+    const recorder = {
+      name: 'kz-record-imports',
+      setup(builder) {
+        builder.onResolve({ filter: /^[^./]/ }, (args) => {
+          const name = getPackageName(args.path);
+          if (args.kind === 'entry-point' || !name || builtinModules.includes(name)) return;
+          if (externals.some((external) => external.name === name)) return;
+          if (!usage.has(name)) usage.set(name, { groups: new Set(), specifiers: new Set() });
+          usage.get(name).groups.add(group);
+          usage.get(name).specifiers.add(args.path);
+        });
+      },
+    };
+
+    await esbuild.build({
+      ...config,
+      sourcemap: false,
+      minify: false,
+      metafile: false,
+      stdin: stdin(group.entry, `kz-${group.name}.js`),
+      outfile: `${group.name}.js`,
+      plugins: [recorder, ...config.plugins],
+    });
+  }
+
+  const shared = [...usage.values()].filter((entry) => entry.groups.size > 1);
+  shared.forEach((entry) =>
+    entry.groups.forEach((group) => {
+      group.usesCommon = true;
+    }),
+  );
+  return shared.flatMap((entry) => [...entry.specifiers]).sort();
+}
+
+// `require` keeps CommonJS packages as their `module.exports`, like the group files expect
+function createCommonEntry(specifiers) {
+  const lines = specifiers.map(
+    (specifier) => `  ${JSON.stringify(specifier)}: require(${JSON.stringify(specifier)}),`,
+  );
+  return `module.exports = {\n${lines.join('\n')}\n};`;
+}
+
+// Read shared packages from the common chunk instead of bundling them again
+function sharedImports(specifiers, format, globalName) {
+  const common =
+    format === 'iife'
+      ? `globalThis[${JSON.stringify(globalName)}].${COMMON_CHUNK}`
+      : `require(${JSON.stringify(`./${COMMON_CHUNK}.js`)})`;
+
+  return {
+    name: 'kz-shared-imports',
+    setup(builder) {
+      builder.onResolve({ filter: /.*/ }, (args) => {
+        if (args.namespace === 'kz-shared') return { path: args.path, external: true };
+        return specifiers.includes(args.path)
+          ? { path: args.path, namespace: 'kz-shared' }
+          : undefined;
+      });
+      builder.onLoad({ filter: /.*/, namespace: 'kz-shared' }, (args) => ({
+        contents: `module.exports = ${common}[${JSON.stringify(args.path)}];`,
+      }));
+    },
+  };
+}
+
+// Packages whose files ended up in an output, e.g. the contents of an ESM common chunk
+function packagesIn(inputs) {
+  const names = Object.keys(inputs)
+    .filter((input) => input.includes('node_modules/'))
+    .map((input) => getPackageName(input.slice(input.lastIndexOf('node_modules/') + 13)));
+  return [...new Set(names.filter(Boolean))].sort();
+}
+
+function toBundleError(err) {
+  const errors = err.errors || [];
+  const message = errors.length ? errors.map((e) => e.text).join('; ') : err.message;
+  return new BundleError(`esbuild failed: ${message}`, { errors, cause: err });
+}
+
+/**
+ * Pick the export name for each package: the user's mapping, or a camelCased package name.
+ * @param {string[]} packages - Packages to include.
+ * @param {object} exposeAs - Export name per package.
+ * @returns {object} Export name per package.
+ */
+function resolveExportNames(packages, exposeAs) {
+  const names = {};
+  const used = new Set();
+
+  Object.keys(exposeAs).forEach((pkg) => {
+    if (!packages.includes(pkg))
+      throw new InvalidOptionError(`Cannot expose '${pkg}': it is not bundled`);
+  });
+
+  packages.forEach((pkg) => {
+    const name = exposeAs[pkg] || toIdentifier(pkg);
+    if (!IDENTIFIER.test(name))
+      throw new InvalidOptionError(`Invalid export name '${name}' for '${pkg}'`);
+    if (used.has(name))
+      throw new InvalidOptionError(`Export name '${name}' is used by more than one package`);
+
+    used.add(name);
+    names[pkg] = name;
+  });
+
+  return names;
+}
+
+// CommonJS packages are exposed as their `module.exports` (the namespace's default,
+// which carries every other key), ESM packages as their namespace
+const EXPOSE_HELPER = `const __expose = (ns) => {
+  const value = ns.default;
+  const isModuleExports = value != null &&
+    Object.keys(ns).every((key) => key === 'default' || key === '__esModule' || key in Object(value));
+  return isModuleExports ? value : ns;
+};`;
+
+function createEntry(packages, exportNames) {
+  const lines = packages.map(
+    (pkg, index) => `import * as __pkg${index} from ${JSON.stringify(pkg)};`,
+  );
+
+  lines.push(EXPOSE_HELPER);
+  packages.forEach((pkg, index) => {
+    lines.push(`const ${exportNames[pkg]} = __expose(__pkg${index});`);
+  });
+
+  lines.push(`export { ${packages.map((pkg) => exportNames[pkg]).join(', ')} };`);
+  return lines.join('\n');
+}
+
+function umdWrapper(globalName) {
+  return {
+    banner: {
+      js:
+        '(function (root, factory) {\n' +
+        "  if (typeof define === 'function' && define.amd) define([], factory);\n" +
+        "  else if (typeof module === 'object' && module.exports) module.exports = factory();\n" +
+        `  else root.${globalName} = factory();\n` +
+        "})(typeof self !== 'undefined' ? self : this, function () {\n" +
+        'var module = { exports: {} }, exports = module.exports;',
+    },
+    footer: { js: 'return module.exports;\n});' },
+  };
 }
@@ -0,0 +1,99 @@
+import path from 'path';
+import { resolvePackageVersion } from './versions.js';
+import { InvalidOptionError } from './errors.js';
+
+// Script bundles load the package's browser build; ES module bundles need ES modules
+const DEFAULT_TEMPLATES = {
+  script: 'https://cdn.jsdelivr.net/npm/{name}@{version}',
+  esm: 'https://esm.sh/{name}@{version}',
+};
+
+/**
+ * Fill in the CDN URL for each external package.
+ * @param {object[]} externals - `{ name, global }` per package left out of the bundle.
+ * @param {string} format - Bundle format: 'esm', 'iife' or 'umd'.
+ * @param {string} template - URL with `{name}` and `{version}` placeholders (default: jsDelivr,
+ *   or esm.sh for ES module bundles).
+ * @returns {object[]} `{ name, global, version, url }`; `version` is 'latest' when the package
+ *   isn't installed.
+ */
+export function resolveCdnUrls(externals, format, template) {
+  const urlTemplate = template || DEFAULT_TEMPLATES[format === 'esm' ? 'esm' : 'script'];
+
+  return externals.map((external) => {
+    const { version } = resolvePackageVersion(external.name);
+    const resolved = version === 'N/A' ? 'latest' : version;
+    const url = urlTemplate.replace(/\{name\}/g, external.name).replace(/\{version\}/g, resolved);
+    return { ...external, version: resolved, url };
+  });
+}
+
+/**
+ * Build the snippet that loads the external packages from the CDN before the bundle:
+ * `<script>` tags (or an import map for ES modules) for an .html snippet, or a loader
+ * script that adds them one after the other for a .js snippet.
+ * @param {object[]} externals - External packages with their `url` (see resolveCdnUrls).
+ * @param {object} options - Snippet options.
+ * @param {string} options.snippetFile - Path the snippet is written to; its extension picks the kind.
+ * @param {string} options.outputFile - The bundle, referenced relative to the snippet.
+ * @param {string} options.format - Bundle format.
+ * @returns {string} Snippet contents.
+ * @throws {InvalidOptionError} If the format can't be loaded from a snippet of that kind.
+ */
+export function createCdnSnippet(externals, { snippetFile, outputFile, format }) {
+  const bundleUrl = path
+    .relative(path.dirname(path.resolve(snippetFile)), path.resolve(outputFile))
+    .split(path.sep)
+    .join('/');
+  const isScript = path.extname(snippetFile) === '.js';
+  const header = `Generated by kz bundle: loads the packages left out of ${path.basename(outputFile)}`;
+
+  if (format === 'cjs') {
+    throw new InvalidOptionError('CDN snippets need an iife, umd or esm bundle');
+  }
+
+  if (format === 'esm') {
+    if (isScript) {
+      throw new InvalidOptionError(
+        'ES module bundles need an .html snippet (it holds an import map)',
+      );
+    }
+    const imports = Object.fromEntries(externals.map((external) => [external.name, external.url]));
+    return [
+      `<!-- ${header} -->`,
+      '<script type="importmap">',
+      JSON.stringify({ imports }, null, 2),
+      '</script>',
+      `<script type="module" src="${bundleUrl}"></script>`,
+      '',
+    ].join('\n');
+  }
+
+  if (isScript) {
+    return [
+      `// ${header}`,
+      '(function () {',
+      `  var scripts = ${JSON.stringify([...externals.map((external) => external.url), bundleUrl])};`,
+      '  (function next() {',
+      '    var src = scripts.shift();',
+      '    if (!src) return;',
+      "    var script = document.createElement('script');",
+      '    script.src = src;',
+      '    script.onload = next;',
+      "    script.onerror = function () { console.error('Failed to load ' + src); };",
+      '    document.head.appendChild(script);',
+      '  })();',
+      '})();',
+      '',
+    ].join('\n');
+  }
+
+  return [
+    `<!-- ${header} -->`,
+    ...externals.map(
+      (external) => `<script src="${external.url}" crossorigin="anonymous"></script>`,
+    ),
+    `<script src="${bundleUrl}"></script>`,
+    '',
+  ].join('\n');
+}
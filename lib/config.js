@@ -0,0 +1,273 @@
+import fs from 'fs';
+import path from 'path';
+import { pathToFileURL } from 'url';
+import { pkgUp } from 'pkg-up';
+import { ConfigError } from './errors.js';
+
+export { ConfigError };
+
+const CONFIG_FILES = ['kz.config.js', 'kz.config.mjs', '.kzrc', '.kzrc.json'];
+
+const COMMON = {
+  ignore: 'string[]',
+  concurrency: 'number',
+};
+
+// Per-command keys and their expected types; `object` values are passed through as-is
+const SCHEMA = {
+  ignore: 'string[]',
+  analyze: {
+    ...COMMON,
+    format: ['text', 'json', 'sarif'],
+  },
+  deps: {
+    ...COMMON,
+    format: ['text', 'json'],
+    manifest: 'string',
+    dev: 'string[]',
+    ignorePackages: 'string[]',
+  },
+  remove: {
+    ...COMMON,
+    mode: ['normal', 'force', 'aggressive'],
+    match: ['exact', 'prefix', 'glob', 'regex'],
+    withUsages: 'boolean',
+    stub: 'string',
+    sourceMap: 'boolean',
+    verify: 'boolean',
+    nodeCheck: 'boolean',
+  },
+  replace: {
+    ...COMMON,
+    mapping: 'string',
+    style: ['default', 'namespace'],
+    rename: 'boolean',
+    sourceMap: 'boolean',
+    verify: 'boolean',
+    nodeCheck: 'boolean',
+  },
+  shake: {
+    ignore: 'string[]',
+    keep: 'string[]',
+    usedBy: 'string[]',
+    minify: 'boolean',
+  },
+  format: {
+    ...COMMON,
+    minify: 'boolean',
+    sourceMap: 'boolean',
+    prettier: 'object',
+    terser: 'object',
+    verify: 'boolean',
+    nodeCheck: 'boolean',
+  },
+  bundle: {
+    packages: 'string[]',
+    out: 'string',
+    minify: 'boolean',
+    sourceMap: 'boolean',
+    format: ['esm', 'cjs', 'iife', 'umd'],
+    platform: ['browser', 'node', 'neutral'],
+    target: 'string|string[]',
+    globalName: 'string',
+    expose: 'object',
+    external: 'string[]',
+    from: 'string',
+    include: 'string[]',
+    exclude: 'string[]',
+    cdn: 'boolean|string',
+    cdnSnippet: 'string',
+    groups: 'object',
+    outDir: 'string',
+    manifest: 'string',
+    metafile: 'boolean|string',
+    report: 'boolean',
+    treemap: 'string',
+  },
+  backup: {
+    enabled: 'boolean',
+    dir: 'string',
+    keep: 'number',
+    maxAge: 'number',
+  },
+};
+
+const COMMANDS = Object.keys(SCHEMA).filter((key) => typeof SCHEMA[key] === 'object');
+
+/**
+ * Find the nearest config file, walking up from `cwd` to the project root
+ * (the directory holding the nearest package.json).
+ * @param {string} cwd - Directory to start from.
+ * @returns {Promise<string|null>} Path to the config file, or null.
+ */
+export async function findConfigFile(cwd = process.cwd()) {
+  const pkgPath = await pkgUp({ cwd });
+  const root = pkgPath ? path.dirname(pkgPath) : path.parse(cwd).root;
+
+  for (let dir = path.resolve(cwd); ; dir = path.dirname(dir)) {
+    for (const name of CONFIG_FILES) {
+      const candidate = path.join(dir, name);
+      if (fs.existsSync(candidate)) return candidate;
+    }
+
+    if (dir === root || dir === path.dirname(dir)) break;
+  }
+
+  // Fall back to a "kz" key in the project's package.json
+  if (pkgPath) {
+    const pkg = JSON.parse(fs.readFileSync(pkgPath, 'utf8'));
+    if (pkg.kz) return pkgPath;
+  }
+
+  return null;
+}
+
+/**
+ * Load and validate the project config, resolving a named profile.
+ * @param {object} options - Load options.
+ * @param {string} options.cwd - Directory to start the search from.
+ * @param {string} options.file - Explicit config file, skipping discovery.
+ * @param {string} options.profile - Profile to merge over the base config.
+ * @returns {Promise<object>} `{ file, config }` where config holds one section per command.
+ */
+export async function loadConfig(options = {}) {
+  const file = options.file ? path.resolve(options.file) : await findConfigFile(options.cwd);
+
+  if (!file) {
+    if (options.profile) {
+      throw new ConfigError(`Profile '${options.profile}' requested but no config file found`);
+    }
+    return { file: null, config: {} };
+  }
+
+  const raw = await readConfigFile(file);
+  const { profiles = {}, ...base } = raw;
+
+  const issues = validate(base, '');
+  if (typeof profiles !== 'object' || Array.isArray(profiles)) {
+    issues.push(`profiles: expected an object`);
+  } else {
+    Object.entries(profiles).forEach(([name, profile]) => {
+      issues.push(...validate(profile, `profiles.${name}.`));
+    });
+  }
+
+  if (issues.length > 0) throw new ConfigError(`Invalid config in ${file}`, file, issues);
+
+  let config = base;
+  if (options.profile) {
+    if (!profiles[options.profile]) {
+      const available = Object.keys(profiles).join(', ') || 'none';
+      throw new ConfigError(
+        `Unknown profile '${options.profile}' in ${file} (available: ${available})`,
+        file,
+      );
+    }
+    config = mergeConfig(base, profiles[options.profile]);
+  }
+
+  return { file, config };
+}
+
+/**
+ * Get the effective options for a command: its section plus the shared ignore globs.
+ * @param {object} config - Config returned by loadConfig.
+ * @param {string} command - Command name.
+ * @returns {object} Options for the command.
+ */
+export function getCommandConfig(config, command) {
+  const section = { ...(config[command] || {}) };
+  if (config.ignore && 'ignore' in (SCHEMA[command] || {})) {
+    section.ignore = [...config.ignore, ...(section.ignore || [])];
+  }
+  return section;
+}
+
+async function readConfigFile(file) {
+  try {
+    const name = path.basename(file);
+
+    if (name === 'package.json') {
+      return JSON.parse(fs.readFileSync(file, 'utf8')).kz;
+    }
+
+    if (name.endsWith('.js') || name.endsWith('.mjs')) {
+      const mod = await import(pathToFileURL(file).href);
+      const value = mod.default ?? mod;
+      return typeof value === 'function' ? await value() : value;
+    }
+
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (err) {
+    throw new ConfigError(`Failed to load config ${file}: ${err.message}`, file);
+  }
+}
+
+function validate(config, prefix) {
+  if (!config || typeof config !== 'object' || Array.isArray(config)) {
+    return [`${prefix || 'config'}: expected an object`];
+  }
+
+  const issues = [];
+
+  Object.entries(config).forEach(([key, value]) => {
+    if (!(key in SCHEMA)) {
+      issues.push(
+        `${prefix}${key}: unknown key (expected one of ${Object.keys(SCHEMA).join(', ')})`,
+      );
+      return;
+    }
+
+    if (!COMMANDS.includes(key)) {
+      issues.push(...checkType(`${prefix}${key}`, value, SCHEMA[key]));
+      return;
+    }
+
+    if (!value || typeof value !== 'object' || Array.isArray(value)) {
+      issues.push(`${prefix}${key}: expected an object`);
+      return;
+    }
+
+    Object.entries(value).forEach(([option, optionValue]) => {
+      const type = SCHEMA[key][option];
+      if (!type) {
+        issues.push(
+          `${prefix}${key}.${option}: unknown key (expected one of ${Object.keys(SCHEMA[key]).join(', ')})`,
+        );
+      } else {
+        issues.push(...checkType(`${prefix}${key}.${option}`, optionValue, type));
+      }
+    });
+  });
+
+  return issues;
+}
+
+function checkType(name, value, type) {
+  if (Array.isArray(type)) {
+    return type.includes(value) ? [] : [`${name}: expected one of ${type.join(', ')}`];
+  }
+
+  const matches = type.split('|').some((expected) => {
+    if (expected === 'string[]') {
+      return Array.isArray(value) && value.every((item) => typeof item === 'string');
+    }
+    if (expected === 'object') {
+      return value !== null && typeof value === 'object' && !Array.isArray(value);
+    }
+    return typeof value === expected;
+  });
+
+  return matches ? [] : [`${name}: expected ${type}`];
+}
+
+// Profiles override the base config one command section at a time
+function mergeConfig(base, profile) {
+  const merged = { ...base };
+
+  Object.entries(profile).forEach(([key, value]) => {
+    merged[key] = COMMANDS.includes(key) ? { ...(base[key] || {}), ...value } : value;
+  });
+
+  return merged;
+}
@@ -0,0 +1,415 @@
+import { parse } from '@babel/parser';
+import traverseModule from '@babel/traverse';
+import { getPackageName } from './utils.js';
+
+const traverse = traverseModule.default;
+
+// esbuild (and rollup with comments) prefix each inlined file with `// path/to/file.js`
+const REGION_COMMENT =
+  /^[ \t]*\/\/ ((?:[\w@.~-]+\/)*[\w@.~-]+\.(?:m?js|cjs|jsx|tsx?|json))[ \t]*$/gm;
+
+const EMPTY_FACTORY = 'function(){}';
+
+// esbuild's lazy module wrappers: `var require_x = __commonJS({...})`, `var init_x = __esm({...})`
+const LAZY_WRAPPERS = ['__commonJS', '__esm'];
+
+const PARSE_OPTIONS = {
+  sourceType: 'unambiguous',
+  plugins: ['jsx', 'dynamicImport'],
+  allowReturnOutsideFunction: true,
+  errorRecovery: true,
+};
+
+// webpack module ids: numbers, paths (`./src/a.js`) or short hashes (`0Mnh`)
+const MODULE_ID = /^\d+$|[/\\.]|^(?=[\w+=-]*\d)[\w+=-]{4,8}$/;
+
+/**
+ * Decode the module map of a webpack, browserify, esbuild or rollup bundle.
+ * @param {string} code - Bundle source.
+ * @param {object} ast - Optional pre-parsed Babel AST of the source.
+ * @returns {object|null} `{ type, modules, packages }`, or null if no module map was found.
+ */
+export function decodeBundle(code, ast = null) {
+  let modules = [];
+  let type = null;
+
+  try {
+    const tree = ast || parse(code, PARSE_OPTIONS);
+
+    const maps = findModuleMaps(tree);
+    if (maps.length > 0) {
+      type = maps[0].type;
+      modules = maps.flatMap((map) => map.modules);
+    }
+  } catch (e) {
+    // Unparseable bundle, fall back to region comments below
+  }
+
+  if (modules.length === 0) {
+    modules = findRegions(code);
+    if (modules.length > 0) type = 'esbuild';
+  }
+
+  if (modules.length === 0) return null;
+
+  modules.forEach((mod) => {
+    mod.size = Buffer.byteLength(code.slice(mod.start, mod.end), 'utf8');
+  });
+
+  return { type, modules, packages: summarizePackages(modules) };
+}
+
+/**
+ * Strip every module belonging to a package out of a bundle.
+ * Module-map entries keep their id but get an empty factory, so
+ * `__webpack_require__(id)` still resolves. esbuild regions keep their
+ * `require_x`/`init_x` wrappers with an empty body and lose everything else; a region
+ * declaring anything else that the rest of the bundle uses is kept and listed in `skipped`.
+ * @param {string} code - Bundle source.
+ * @param {string|Function} packageName - Package to remove, or a test called with each
+ *   module's package name.
+ * @returns {object} `{ code, removedCount, modules, skipped, type }`, `skipped` holding
+ *   `{ module, names }` per kept region; `type` is null if the code isn't a bundle.
+ */
+export function removeBundledPackage(code, packageName) {
+  const matchesPackage =
+    typeof packageName === 'function' ? packageName : (name) => name === packageName;
+  const bundle = decodeBundle(code);
+  let matches = bundle
+    ? bundle.modules.filter((mod) => mod.package && matchesPackage(mod.package))
+    : [];
+
+  let skipped = [];
+  let replacements;
+  if (bundle && bundle.type === 'esbuild') {
+    ({ replacements, skipped } = stubRegions(code, matches));
+    matches = matches.filter((mod) => replacements.has(mod));
+  } else {
+    const factory =
+      bundle && bundle.type === 'browserify' ? `[${EMPTY_FACTORY},{}]` : EMPTY_FACTORY;
+    replacements = new Map(matches.map((mod) => [mod, factory]));
+  }
+
+  let result = code;
+  [...matches]
+    .sort((a, b) => b.start - a.start)
+    .forEach((mod) => {
+      result = result.slice(0, mod.start) + replacements.get(mod) + result.slice(mod.end);
+    });
+
+  return {
+    code: result,
+    removedCount: matches.length,
+    modules: matches,
+    skipped,
+    type: bundle ? bundle.type : null,
+  };
+}
+
+// The new text of each esbuild region: its comment, then its lazy wrappers with empty bodies
+// and its bare `var x;` declarations. Anything else must be unused outside the removed regions.
+function stubRegions(code, regions) {
+  const replacements = new Map();
+  const skipped = [];
+  const statements = new Map(regions.map((region) => [region, []]));
+  const regionAt = (node) =>
+    regions.find((region) => node.start >= region.start && node.end <= region.end);
+
+  let programPath = null;
+  try {
+    traverse(parse(code, PARSE_OPTIONS), {
+      Program(path) {
+        programPath = path;
+      },
+      Statement(path) {
+        const region = regionAt(path.node);
+        if (!region) return;
+        statements.get(region).push(path);
+        path.skip();
+      },
+    });
+  } catch (e) {
+    // Unparseable bundle: nothing can be checked, so nothing is removed
+    return { replacements, skipped: regions.map((region) => ({ module: region, names: [] })) };
+  }
+  if (!programPath) return { replacements, skipped };
+
+  regions.forEach((region) => {
+    const kept = [];
+    const used = [];
+
+    statements.get(region).forEach((path) => {
+      const body = lazyWrapperBody(path.node);
+      if (body) {
+        kept.push(
+          code.slice(path.node.start, body.start) + '{}' + code.slice(body.end, path.node.end),
+        );
+      } else if (isBareDeclaration(path.node)) {
+        kept.push(code.slice(path.node.start, path.node.end));
+      } else {
+        Object.keys(path.getBindingIdentifiers()).forEach((name) => {
+          const binding = path.scope.getBinding(name);
+          const refs = binding ? [...binding.referencePaths, ...binding.constantViolations] : [];
+          if (refs.some((ref) => !regionAt(ref.node))) used.push(name);
+        });
+      }
+    });
+
+    if (used.length > 0) {
+      skipped.push({ module: region, names: used });
+      return;
+    }
+
+    const indent = code.slice(region.start).match(/^[ \t]*/)[0];
+    const lines = [`// removed: ${region.path}`, ...kept].map((line) => `${indent}${line}\n`);
+    replacements.set(region, `${lines.join('')}\n`);
+  });
+
+  // Regions are checked against each other, so a kept one can make another unsafe to remove
+  const remaining = regions.filter((region) => replacements.has(region));
+  if (remaining.length < regions.length && remaining.length > 0) {
+    const retry = stubRegions(code, remaining);
+    return { replacements: retry.replacements, skipped: [...skipped, ...retry.skipped] };
+  }
+
+  return { replacements, skipped };
+}
+
+// The body of `var require_x = __commonJS({ "path"(exports, module) { body } })`
+function lazyWrapperBody(node) {
+  if (node.type !== 'VariableDeclaration' || node.declarations.length !== 1) return null;
+
+  const { init } = node.declarations[0];
+  if (!init || init.type !== 'CallExpression' || init.callee.type !== 'Identifier') return null;
+  if (!LAZY_WRAPPERS.includes(init.callee.name)) return null;
+
+  const [modules] = init.arguments;
+  if (!modules || modules.type !== 'ObjectExpression' || modules.properties.length !== 1) {
+    return null;
+  }
+
+  const [entry] = modules.properties;
+  const factory = entry.type === 'ObjectMethod' ? entry : entry.value;
+  return factory && factory.body && factory.body.type === 'BlockStatement' ? factory.body : null;
+}
+
+function isBareDeclaration(node) {
+  return (
+    node.type === 'VariableDeclaration' &&
+    node.declarations.every((declarator) => declarator.init === null)
+  );
+}
+
+function findModuleMaps(ast) {
+  const maps = [];
+
+  traverse(ast, {
+    'ObjectExpression|ArrayExpression'(path) {
+      if (!isModuleMapPosition(path)) return;
+
+      const map = path.isObjectExpression() ? readObjectMap(path.node) : readArrayMap(path.node);
+
+      if (map) {
+        maps.push(map);
+        path.skip();
+      }
+    },
+  });
+
+  return maps;
+}
+
+// Module maps are passed to the runtime (`(function (modules) {...})({...})`,
+// `webpackChunk.push([[ids], {...}])`) or assigned to `__webpack_modules__`
+function isModuleMapPosition(path) {
+  const { parentPath } = path;
+
+  if (parentPath.isCallExpression() && parentPath.node.arguments.includes(path.node)) return true;
+  if (parentPath.isVariableDeclarator() && parentPath.node.id.name === '__webpack_modules__') {
+    return true;
+  }
+
+  return (
+    parentPath.isArrayExpression() &&
+    parentPath.parentPath.isCallExpression() &&
+    parentPath.parentPath.node.arguments.includes(parentPath.node)
+  );
+}
+
+function isFactory(node) {
+  return (
+    node &&
+    (node.type === 'FunctionExpression' || node.type === 'ArrowFunctionExpression') &&
+    node.params.length <= 3
+  );
+}
+
+function isBrowserifyEntry(node) {
+  return (
+    node &&
+    node.type === 'ArrayExpression' &&
+    node.elements.length === 2 &&
+    isFactory(node.elements[0]) &&
+    node.elements[1] &&
+    node.elements[1].type === 'ObjectExpression'
+  );
+}
+
+function readObjectMap(node) {
+  const props = node.properties;
+  if (props.length < 2 || props.some((prop) => prop.type !== 'ObjectProperty')) return null;
+
+  if (props.every((prop) => isBrowserifyEntry(prop.value))) {
+    return { type: 'browserify', modules: readBrowserifyModules(props) };
+  }
+
+  if (!props.every((prop) => isFactory(prop.value))) return null;
+
+  const modules = props.map((prop) => {
+    const id = prop.key.type === 'Identifier' ? prop.key.name : String(prop.key.value);
+    const modulePath = /[/\\]/.test(id) ? id : findPathComment(prop);
+
+    return {
+      id,
+      path: modulePath,
+      package: modulePath ? packageFromModulePath(modulePath) : null,
+      start: prop.value.start,
+      end: prop.value.end,
+    };
+  });
+
+  // `$.fn.extend({ find: function () {} })` is an object of functions too, but its keys are names
+  if (!modules.every((mod) => MODULE_ID.test(mod.id))) return null;
+
+  return { type: 'webpack', modules };
+}
+
+function readArrayMap(node) {
+  const factories = node.elements.filter(Boolean);
+  if (factories.length < 2 || !factories.every(isFactory)) return null;
+
+  const modules = [];
+  node.elements.forEach((element, index) => {
+    if (!element) return; // Holes left by webpack 4 for ids owned by other chunks
+
+    const modulePath = findPathComment(element);
+    modules.push({
+      id: String(index),
+      path: modulePath,
+      package: modulePath ? packageFromModulePath(modulePath) : null,
+      start: element.start,
+      end: element.end,
+    });
+  });
+
+  return { type: 'webpack', modules };
+}
+
+// Browserify drops paths, so packages are inferred from the dependency maps:
+// `{"lodash": 3}` marks module 3 as lodash, and its relative deps inherit that
+function readBrowserifyModules(props) {
+  const entries = new Map();
+  props.forEach((prop) => {
+    const deps = {};
+    prop.value.elements[1].properties.forEach((dep) => {
+      if (dep.type !== 'ObjectProperty' || dep.value.type !== 'NumericLiteral') return;
+      deps[dep.key.type === 'Identifier' ? dep.key.name : dep.key.value] = String(dep.value.value);
+    });
+    entries.set(String(prop.key.value ?? prop.key.name), { prop, deps, package: null });
+  });
+
+  const queue = [];
+  entries.forEach(({ deps }) => {
+    Object.entries(deps).forEach(([specifier, id]) => {
+      const pkg = getPackageName(specifier);
+      const target = entries.get(id);
+      if (pkg && target && !target.package) {
+        target.package = pkg;
+        queue.push(target);
+      }
+    });
+  });
+
+  while (queue.length > 0) {
+    const entry = queue.shift();
+    Object.entries(entry.deps).forEach(([specifier, id]) => {
+      const target = entries.get(id);
+      if (specifier.startsWith('.') && target && !target.package) {
+        target.package = entry.package;
+        queue.push(target);
+      }
+    });
+  }
+
+  return [...entries].map(([id, entry]) => ({
+    id,
+    path: null,
+    package: entry.package,
+    start: entry.prop.value.start,
+    end: entry.prop.value.end,
+  }));
+}
+
+// webpack 4 dev builds annotate modules with `/*!*** ./node_modules/x/index.js ***!*/`
+function findPathComment(node) {
+  const comments = node.leadingComments || [];
+  for (const comment of comments) {
+    const match = comment.value.match(/(\.{0,2}\/?(?:[\w@.~-]+\/)*node_modules\/[^\s*!]+)/);
+    if (match) return match[1];
+  }
+  return null;
+}
+
+function findRegions(code) {
+  const regions = [];
+  let match;
+
+  REGION_COMMENT.lastIndex = 0;
+  while ((match = REGION_COMMENT.exec(code)) !== null) {
+    regions.push({ id: match[1], path: match[1], start: match.index });
+  }
+
+  return regions
+    .map((region, index) => ({
+      ...region,
+      package: packageFromModulePath(region.path),
+      end: index + 1 < regions.length ? regions[index + 1].start : findRegionEnd(code),
+    }))
+    .filter((region) => /(^|\/)node_modules\//.test(region.path));
+}
+
+// The last region runs until the bundle wrapper closes (`})();`) or the end of file
+function findRegionEnd(code) {
+  const match = code.match(/\n\}\)\(\);?\s*$/);
+  return match ? match.index + 1 : code.length;
+}
+
+/**
+ * Extract a package name from a module path inside node_modules.
+ * @param {string} modulePath - e.g. `./node_modules/@scope/pkg/lib/index.js`.
+ * @returns {string|null} Package name, or null for first-party modules.
+ */
+export function packageFromModulePath(modulePath) {
+  const index = modulePath.lastIndexOf('node_modules/');
+  if (index === -1) return null;
+
+  const parts = modulePath.slice(index + 'node_modules/'.length).split('/');
+  return parts[0].startsWith('@') ? parts.slice(0, 2).join('/') : parts[0];
+}
+
+function summarizePackages(modules) {
+  const packages = new Map();
+
+  modules
+    .filter((mod) => mod.package)
+    .forEach((mod) => {
+      if (!packages.has(mod.package)) {
+        packages.set(mod.package, { name: mod.package, size: 0, modules: 0 });
+      }
+      const pkg = packages.get(mod.package);
+      pkg.size += mod.size;
+      pkg.modules++;
+    });
+
+  return [...packages.values()].sort((a, b) => b.size - a.size);
+}
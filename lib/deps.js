@@ -0,0 +1,205 @@
+import fs from 'fs';
+import path from 'path';
+import { builtinModules } from 'module';
+import chalk from 'chalk';
+import { globby } from 'globby';
+import { pkgUp } from 'pkg-up';
+import { collectReferences } from './analyze.js';
+import { getPackageName, resolveFiles, mapConcurrent, readSource } from './utils.js';
+import { FileNotFoundError, InvalidOptionError } from './errors.js';
+import { log } from './logger.js';
+
+const OUTPUT_FORMATS = ['text', 'json'];
+
+// Files that only run during development, so they may import devDependencies
+const DEV_PATTERNS = [
+  '**/*.{test,spec,stories}.*',
+  '**/{test,tests,__tests__,__mocks__,scripts}/**',
+  '**/*.config.*',
+  '**/.*rc.*',
+];
+
+/**
+ * Check a project's imports against its package.json and print the result.
+ * @param {string|string[]} inputs - Files, directories or globs (default: the project root).
+ * @param {object} options - Check options (see checkDependencies), plus `format`: 'text' or 'json'.
+ * @returns {Promise<object>} The check result, or `{ error, errorCode }` if the check failed.
+ */
+export async function reportDependencies(inputs, options = {}) {
+  const format = options.format || 'text';
+
+  try {
+    if (!OUTPUT_FORMATS.includes(format)) {
+      throw new InvalidOptionError(
+        `Unknown format '${format}' (expected ${OUTPUT_FORMATS.join(', ')})`,
+      );
+    }
+
+    const result = await checkDependencies(inputs, options);
+    if (format === 'json') {
+      log.data(JSON.stringify(result, null, 2));
+    } else {
+      printDependencyReport(result);
+    }
+
+    return result;
+  } catch (err) {
+    log.error(chalk.red(`✖ Failed to check dependencies: ${err.message}`));
+    log.debug(err.stack);
+    return { ok: false, error: err.message, errorCode: err.code };
+  }
+}
+
+/**
+ * Compare the packages a project imports with the ones its package.json declares.
+ * Test, config and script files count as development code and may import devDependencies;
+ * type-only imports only count towards a dependency being used. Files that can't be read or
+ * parsed are listed in `failures` and make the result not `ok`.
+ * @param {string|string[]} inputs - Files, directories or globs (default: the project root).
+ * @param {object} options - Check options.
+ * @param {string} options.manifest - package.json to check against (default: the nearest one).
+ * @param {string[]} options.dev - Extra globs, relative to the project root, for development files.
+ * @param {string[]} options.ignore - Extra glob patterns to exclude from the scan.
+ * @param {string[]} options.ignorePackages - Packages never reported (e.g. used only from scripts).
+ * @param {number} options.concurrency - Maximum files read at once.
+ * @returns {Promise<object>} `{ manifest, files, missing, unused, devOnly, failures, ok }`.
+ * @throws {FileNotFoundError} If there is no package.json.
+ */
+export async function checkDependencies(inputs, options = {}) {
+  const manifestPath = options.manifest
+    ? path.resolve(options.manifest)
+    : await pkgUp({ cwd: process.cwd() });
+  if (!manifestPath || !fs.existsSync(manifestPath)) {
+    throw new FileNotFoundError(options.manifest || 'package.json');
+  }
+
+  const manifest = JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+  const root = path.dirname(manifestPath);
+  const targets = [].concat(inputs || []);
+  const files = await resolveFiles(targets.length ? targets : [path.relative('.', root) || '.'], {
+    ignore: options.ignore,
+  });
+  const devFiles = await findDevFiles(root, options.dev);
+  const ignored = new Set(options.ignorePackages || []);
+  const failures = [];
+
+  const imports = new Map();
+  const scanned = await mapConcurrent(files, options.concurrency || 4, async (file) => {
+    try {
+      const { references } = collectReferences(readSource(file), file);
+      const scope = devFiles.has(path.resolve(file)) ? 'dev' : 'production';
+
+      references.forEach((reference) => {
+        const name = getPackageName(reference.name);
+        if (!name || isBuiltin(name) || name === manifest.name || ignored.has(name)) return;
+
+        // Type-only imports are erased at build time, so they use a package without needing it
+        const bucket = reference.kind === 'type' ? 'types' : scope;
+        if (!imports.has(name)) imports.set(name, { name, production: [], dev: [], types: [] });
+        imports.get(name)[bucket].push({ file, line: reference.line, column: reference.column });
+      });
+      return file;
+    } catch (err) {
+      failures.push({ file, error: err.message });
+      return null;
+    }
+  });
+
+  const dependencies = Object.keys(manifest.dependencies || {});
+  const devDependencies = Object.keys(manifest.devDependencies || {});
+  const declared = new Set([
+    ...dependencies,
+    ...Object.keys(manifest.peerDependencies || {}),
+    ...Object.keys(manifest.optionalDependencies || {}),
+  ]);
+  const used = [...imports.values()].sort((a, b) => a.name.localeCompare(b.name));
+
+  const missing = used
+    .filter((pkg) => pkg.production.length + pkg.dev.length > 0)
+    .filter((pkg) => !declared.has(pkg.name) && !devDependencies.includes(pkg.name))
+    .map((pkg) => ({ name: pkg.name, references: [...pkg.production, ...pkg.dev] }));
+
+  const devOnly = used
+    .filter((pkg) => pkg.production.length > 0 && !declared.has(pkg.name))
+    .filter((pkg) => devDependencies.includes(pkg.name))
+    .map((pkg) => ({ name: pkg.name, references: pkg.production }));
+
+  // Type packages are never imported by name; only `dependencies` ship to users
+  const unused = dependencies
+    .filter((name) => !imports.has(name) && !ignored.has(name) && !name.startsWith('@types/'))
+    .sort()
+    .map((name) => ({ name, version: manifest.dependencies[name] }));
+
+  return {
+    manifest: manifestPath,
+    files: scanned.filter(Boolean).length,
+    missing,
+    unused,
+    devOnly,
+    failures,
+    ok:
+      missing.length === 0 && unused.length === 0 && devOnly.length === 0 && failures.length === 0,
+  };
+}
+
+/**
+ * Print the result of checkDependencies.
+ * @param {object} result - Result returned by checkDependencies.
+ */
+export function printDependencyReport(result) {
+  const manifest = path.relative(process.cwd(), result.manifest) || result.manifest;
+  log.info(chalk.cyan(`📋 Checked ${result.files} file(s) against ${manifest}`));
+
+  const where = (references) => {
+    const [first] = references;
+    const more = references.length > 1 ? `, +${references.length - 1} more` : '';
+    return chalk.gray(`(${first.file}:${first.line}:${first.column}${more})`);
+  };
+
+  if (result.missing.length > 0) {
+    log.info(chalk.red(`✖ Missing dependencies: ${result.missing.length}`));
+    result.missing.forEach((pkg) => log.info(' -', chalk.red(pkg.name), where(pkg.references)));
+  }
+
+  if (result.devOnly.length > 0) {
+    log.info(chalk.red(`✖ Dev dependencies used in production code: ${result.devOnly.length}`));
+    result.devOnly.forEach((pkg) => {
+      log.info(' -', chalk.red(pkg.name), where(pkg.references));
+    });
+  }
+
+  if (result.unused.length > 0) {
+    log.info(chalk.yellow(`⚠ Unused dependencies: ${result.unused.length}`));
+    result.unused.forEach((pkg) => {
+      log.info(' -', chalk.yellow(pkg.name), chalk.gray(pkg.version));
+    });
+  }
+
+  if (result.failures.length > 0) {
+    log.error(chalk.red(`✖ Failures: ${result.failures.length}`));
+    result.failures.forEach(({ file, error }) => {
+      log.error(' -', chalk.red(file), chalk.gray(error));
+    });
+  }
+
+  if (result.ok) {
+    log.info(chalk.green('✔ No dependency problems found'));
+  } else if (result.missing.length > 0) {
+    log.info(chalk.gray('💡 Tip: Add missing packages with `npm install <package>`.'));
+  }
+}
+
+// `fs`, `fs/promises`, ...; `node:` specifiers never get here since getPackageName treats them as URLs
+function isBuiltin(name) {
+  return builtinModules.includes(name);
+}
+
+async function findDevFiles(root, extra = []) {
+  const matches = await globby([...DEV_PATTERNS, ...extra], {
+    cwd: root,
+    dot: true,
+    absolute: true,
+    ignore: ['**/node_modules/**', '**/.git/**'],
+  });
+  return new Set(matches.map((file) => path.resolve(file)));
+}
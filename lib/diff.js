@@ -0,0 +1,60 @@
+import chalk from 'chalk';
+import { createTwoFilesPatch } from 'diff';
+import { log } from './logger.js';
+
+/**
+ * Build a unified diff between two versions of a file.
+ * @param {string} filePath - Path shown in the diff header.
+ * @param {string} before - Original contents.
+ * @param {string} after - Transformed contents.
+ * @param {number} context - Lines of context around each hunk.
+ * @returns {string} Unified diff, or an empty string when nothing changed.
+ */
+export function createDiff(filePath, before, after, context = 3) {
+  if (before === after) return '';
+
+  const lines = createTwoFilesPatch(`a/${filePath}`, `b/${filePath}`, before, after, '', '', {
+    context,
+  }).split('\n');
+
+  // Drop the "====" separator and the empty header timestamps
+  return [lines[1].trimEnd(), lines[2].trimEnd(), ...lines.slice(3)].join('\n');
+}
+
+/**
+ * Print a colored unified diff between two versions of a file.
+ * @param {string} filePath - Path shown in the diff header.
+ * @param {string} before - Original contents.
+ * @param {string} after - Transformed contents.
+ * @param {number} context - Lines of context around each hunk.
+ * @param {object} limits - Optional limits for a short diff.
+ * @param {number} limits.lines - Maximum diff lines printed after the header.
+ * @param {number} limits.width - Maximum characters printed per line (minified code is one line).
+ */
+export function printDiff(filePath, before, after, context = 3, limits = {}) {
+  const patch = createDiff(filePath, before, after, context);
+  if (!patch) return;
+
+  const { lines: maxLines = Infinity, width = Infinity } = limits;
+  const lines = patch.replace(/\n$/, '').split('\n');
+  const shown = lines.slice(0, maxLines + 2);
+
+  shown.forEach((text, index) => {
+    const line = text.length > width ? `${text.slice(0, width)}…` : text;
+    if (index < 2) {
+      log.data(chalk.bold(line));
+    } else if (line.startsWith('@@')) {
+      log.data(chalk.cyan(line));
+    } else if (line.startsWith('+')) {
+      log.data(chalk.green(line));
+    } else if (line.startsWith('-')) {
+      log.data(chalk.red(line));
+    } else {
+      log.data(line);
+    }
+  });
+
+  if (lines.length > shown.length) {
+    log.data(chalk.gray(`… ${lines.length - shown.length} more line(s)`));
+  }
+}
@@ -0,0 +1,169 @@
+/**
+ * Base class for every error thrown by the library. `code` is a stable,
+ * machine-readable identifier; `file` is the file being processed, if any.
+ */
+export class KzError extends Error {
+  constructor(message, options = {}) {
+    super(message, options.cause ? { cause: options.cause } : undefined);
+    this.name = 'KzError';
+    this.code = options.code || 'KZ_ERROR';
+    this.file = options.file || null;
+  }
+}
+
+/**
+ * Thrown when an input file doesn't exist.
+ */
+export class FileNotFoundError extends KzError {
+  constructor(file) {
+    super(`File not found: ${file}`, { code: 'FILE_NOT_FOUND', file });
+    this.name = 'FileNotFoundError';
+  }
+}
+
+/**
+ * Thrown when source code can't be parsed. `line` and `column` (1-based) point
+ * at the syntax error when the parser reports one.
+ */
+export class ParseError extends KzError {
+  constructor(message, options = {}) {
+    super(message, { ...options, code: 'PARSE_ERROR' });
+    this.name = 'ParseError';
+    this.line = options.line ?? null;
+    this.column = options.column ?? null;
+  }
+}
+
+/**
+ * Thrown when Prettier or Terser fail for a reason other than a syntax error.
+ */
+export class TransformError extends KzError {
+  constructor(message, options = {}) {
+    super(message, { ...options, code: 'TRANSFORM_ERROR' });
+    this.name = 'TransformError';
+  }
+}
+
+/**
+ * Thrown when esbuild fails to build a bundle. `errors` holds esbuild's messages.
+ */
+export class BundleError extends KzError {
+  constructor(message, options = {}) {
+    super(message, { ...options, code: 'BUNDLE_ERROR' });
+    this.name = 'BundleError';
+    this.errors = options.errors || [];
+  }
+}
+
+/**
+ * Thrown when an option has an invalid value (unknown format, bad stub expression, ...).
+ */
+export class InvalidOptionError extends KzError {
+  constructor(message, options = {}) {
+    super(message, { ...options, code: 'INVALID_OPTION' });
+    this.name = 'InvalidOptionError';
+  }
+}
+
+/**
+ * Thrown when transformed code no longer parses or lost part of its API.
+ * `issues` lists each problem with its `type`, `message` and location.
+ */
+export class VerificationError extends KzError {
+  constructor(message, options = {}) {
+    super(message, { ...options, code: 'VERIFICATION_ERROR' });
+    this.name = 'VerificationError';
+    this.issues = options.issues || [];
+  }
+}
+
+/**
+ * Thrown when the backup store can't be written or read, or a run id doesn't match.
+ */
+export class BackupError extends KzError {
+  constructor(message, options = {}) {
+    super(message, { ...options, code: 'BACKUP_ERROR' });
+    this.name = 'BackupError';
+  }
+}
+
+/**
+ * Thrown when an output file can't be written (permissions, full disk, ...).
+ */
+export class WriteError extends KzError {
+  constructor(message, options = {}) {
+    super(message, { ...options, code: 'WRITE_ERROR' });
+    this.name = 'WriteError';
+  }
+}
+
+/**
+ * Thrown when a config file can't be loaded or doesn't match the schema.
+ */
+export class ConfigError extends KzError {
+  constructor(message, file, issues = []) {
+    super(issues.length ? `${message}:\n  - ${issues.join('\n  - ')}` : message, {
+      code: 'CONFIG_ERROR',
+      file,
+    });
+    this.name = 'ConfigError';
+    this.issues = issues;
+  }
+}
+
+/**
+ * Exit codes of the `kz` CLI. CHANGES is what `--dry-run`, `--diff` and `--check` exit
+ * with when files would change, and `deps` when it finds problems.
+ */
+export const EXIT_CODES = {
+  SUCCESS: 0,
+  CHANGES: 1,
+  FAILURE: 2,
+  NOTHING_TO_DO: 3,
+  PARSE_ERROR: 4,
+  WRITE_ERROR: 5,
+  VERIFICATION_ERROR: 6,
+  STILL_USED: 7,
+};
+
+/**
+ * Pick the exit code for an error code, as carried by a KzError or a failed result's
+ * `errorCode`. Backup store failures count as write failures.
+ * @param {string} code - Error code, e.g. 'PARSE_ERROR'.
+ * @returns {number} One of EXIT_CODES.
+ */
+export function exitCodeFor(code) {
+  if (code === 'PARSE_ERROR') return EXIT_CODES.PARSE_ERROR;
+  if (code === 'WRITE_ERROR' || code === 'BACKUP_ERROR') return EXIT_CODES.WRITE_ERROR;
+  if (code === 'VERIFICATION_ERROR') return EXIT_CODES.VERIFICATION_ERROR;
+  return EXIT_CODES.FAILURE;
+}
+
+/**
+ * Wrap a Babel, Prettier or Terser syntax error in a ParseError.
+ * @param {Error} err - Error thrown by the parser.
+ * @param {string} file - File being parsed, if any.
+ * @returns {ParseError} The wrapped error.
+ */
+export function toParseError(err, file) {
+  // Babel: err.loc { line, column (0-based) }; Prettier: err.loc.start { line, column (1-based) };
+  // Terser: err.line / err.col (0-based column)
+  let line = null;
+  let column = null;
+  if (err.loc && err.loc.start) {
+    ({ line, column } = err.loc.start);
+  } else if (err.loc) {
+    line = err.loc.line;
+    column = err.loc.column + 1;
+  } else if (err.line) {
+    line = err.line;
+    column = (err.col || 0) + 1;
+  }
+
+  return new ParseError(`Failed to parse JavaScript: ${err.message}`, {
+    file,
+    line,
+    column,
+    cause: err,
+  });
+}
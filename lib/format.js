@@ -1,134 +1,288 @@
-import fs from 'fs';
+import path from 'path';
 import prettier from 'prettier';
 import chalk from 'chalk';
 import { minify } from 'terser';
+import { printDiff } from './diff.js';
+import { readSource, writeOutput } from './utils.js';
+import { TransformError, toParseError } from './errors.js';
+import { assertVerified, printVerificationIssues } from './verify.js';
+import { stripSourceMappingURL, readInputMap, createAlignmentMap, chainMaps } from './sourcemap.js';
+import { log } from './logger.js';
 
-export async function formatFile(filePath, shouldMinify = false) {
-  try {
-    if (!fs.existsSync(filePath)) {
-      throw new Error(`File not found: ${filePath}`);
-    }
+const DEFAULT_TERSER_OPTIONS = {
+  compress: {
+    dead_code: true,
+    drop_console: false,
+    drop_debugger: true,
+    keep_infinity: true,
+    passes: 2,
+  },
+  mangle: {
+    toplevel: false,
+    keep_fnames: false,
+  },
+  format: {
+    beautify: false,
+    comments: false,
+    semicolons: true,
+  },
+  ecma: 2020,
+};
+
+// `--check` prints a short diff: enough to see what's off without flooding CI logs
+const CHECK_DIFF_LINES = 20;
+const CHECK_DIFF_WIDTH = 120;
+
+const DEFAULT_PRETTIER_OPTIONS = {
+  parser: 'babel',
+  tabWidth: 2,
+  useTabs: false,
+  semi: true,
+  singleQuote: true,
+  quoteProps: 'as-needed',
+  trailingComma: 'es5',
+  bracketSpacing: true,
+  arrowParens: 'avoid',
+  printWidth: 100,
+};
 
-    const originalCode = fs.readFileSync(filePath, 'utf8');
+/**
+ * Format a file with Prettier or minify it with Terser, printing progress and writing the result.
+ * @param {string} filePath - Path to file.
+ * @param {object} options - Format options.
+ * @param {boolean} options.minify - If true, minify with Terser instead of formatting.
+ * @param {boolean} options.dryRun - If true, report the result without writing.
+ * @param {boolean} options.diff - If true, print a unified diff of the change (implies dryRun).
+ * @param {boolean} options.check - If true, only report whether the file is already formatted
+ *   (or minified), with a short diff when it isn't; nothing is written.
+ * @param {object} options.terser - Terser options merged over the defaults (compress, mangle, format).
+ * @param {object} options.prettier - Prettier options used when no Prettier config is found.
+ * @param {boolean} options.sourceMap - If true, write `<file>.map`, chained with any existing map.
+ * @param {object} options.backup - Backup session the original contents are saved to before writing.
+ * @param {boolean} options.verify - If false, write the output without verifying it first.
+ * @param {boolean} options.nodeCheck - If true, also run `node --check` on the output before writing.
+ * @returns {Promise<object>} Result with `changed` and `savedBytes`, or `error` and `errorCode`
+ *   on failure.
+ */
+export async function formatFile(filePath, options = {}) {
+  const { minify: shouldMinify = false, diff = false, check = false } = options;
+  const dryRun = options.dryRun || diff || check;
+
+  try {
+    const originalCode = readSource(filePath);
     const originalSize = originalCode.length;
-    let processedCode;
+    const input = options.sourceMap ? stripSourceMappingURL(originalCode) : { code: originalCode };
 
-    if (shouldMinify) {
-      console.log(chalk.blue(`🗜️ Minifying ${filePath}...`));
-
-      const result = await minify(originalCode, {
-        compress: {
-          dead_code: true,
-          drop_console: false,
-          drop_debugger: true,
-          keep_infinity: true,
-          passes: 2,
-        },
-        mangle: {
-          toplevel: false,
-          keep_fnames: false,
-        },
-        format: {
-          beautify: false,
-          comments: false,
-          semicolons: true,
-        },
-        sourceMap: false,
-        ecma: 2020,
-      });
+    if (!check) {
+      log.info(
+        shouldMinify
+          ? chalk.blue(`🗜️ Minifying ${filePath}...`)
+          : chalk.blue(`✨ Formatting ${filePath}...`),
+      );
+    }
 
-      if (result.error) {
-        throw new Error(`Terser error: ${result.error}`);
-      }
+    const result = await formatCode(input.code, {
+      ...options,
+      filename: filePath,
+      inputMap: options.sourceMap ? readInputMap(filePath, input.url) : null,
+    });
+    result.warnings.forEach((warning) => log.warn(chalk.yellow(`⚠ ${warning}`)));
 
-      processedCode = result.code;
-    } else {
-      console.log(chalk.blue(`✨ Formatting ${filePath}...`));
+    const processedCode = result.code;
+    const newSize = processedCode.length;
+    const sizeDiff = originalSize - newSize;
+    const compressionRatio = ((sizeDiff / originalSize) * 100).toFixed(1);
+    const changed = processedCode !== originalCode;
 
-      // Try to find prettier config, fallback to defaults
-      let options;
-      try {
-        options = await prettier.resolveConfig(filePath);
-      } catch (e) {
-        console.log(chalk.yellow('⚠ Could not resolve prettier config, using defaults'));
-      }
+    if (diff) printDiff(filePath, originalCode, processedCode);
 
-      // Set default options if none found
-      options = options || {
-        parser: 'babel',
-        tabWidth: 2,
-        useTabs: false,
-        semi: true,
-        singleQuote: true,
-        quoteProps: 'as-needed',
-        trailingComma: 'es5',
-        bracketSpacing: true,
-        arrowParens: 'avoid',
-        printWidth: 100,
-      };
-
-      // Ensure parser is set
-      if (!options.parser) {
-        const ext = filePath.split('.').pop().toLowerCase();
-        options.parser = ext === 'ts' ? 'typescript' : 'babel';
+    if (check) {
+      const action = shouldMinify ? 'minified' : 'formatted';
+      if (changed) {
+        log.info(chalk.red(`✖ Not ${action}: ${filePath}`));
+        if (!diff) {
+          printDiff(filePath, originalCode, processedCode, 1, {
+            lines: CHECK_DIFF_LINES,
+            width: CHECK_DIFF_WIDTH,
+          });
+        }
+      } else {
+        log.info(chalk.gray(`✔ Already ${action}: ${filePath}`));
       }
+      return { file: filePath, changed, dryRun: true, check: true, savedBytes: sizeDiff };
+    }
 
-      try {
-        processedCode = await prettier.format(originalCode, options);
-      } catch (prettierError) {
-        // Fallback to babel parser if the detected parser fails
-        console.log(chalk.yellow('⚠ Parser failed, trying babel parser...'));
-        options.parser = 'babel';
-        processedCode = await prettier.format(originalCode, options);
-      }
+    if (dryRun) {
+      const action = shouldMinify ? 'minified' : 'formatted';
+      log.info(
+        changed
+          ? chalk.cyan(`🔍 Would be ${action}: ${filePath} (${sizeDiff} bytes saved)`)
+          : chalk.gray(`✔ Already ${action}: ${filePath}`),
+      );
+      return { file: filePath, changed, dryRun: true, savedBytes: sizeDiff };
     }
 
     // Write the processed code
-    fs.writeFileSync(filePath, processedCode, 'utf8');
-
-    const newSize = processedCode.length;
-    const sizeDiff = originalSize - newSize;
-    const compressionRatio = ((sizeDiff / originalSize) * 100).toFixed(1);
+    writeOutput(filePath, processedCode, result.map, options.backup);
 
     if (shouldMinify) {
-      console.log(chalk.green(`✔ File minified successfully: ${filePath}`));
+      log.info(chalk.green(`✔ File minified successfully: ${filePath}`));
       if (sizeDiff > 0) {
-        console.log(
+        log.info(
           chalk.blue(
             `💾 Size reduced by ${(sizeDiff / 1024).toFixed(2)} KB (${compressionRatio}% compression)`,
           ),
         );
       }
-      console.log(
+      log.info(
         chalk.gray(
           `📏 Original: ${(originalSize / 1024).toFixed(2)} KB → Minified: ${(newSize / 1024).toFixed(2)} KB`,
         ),
       );
     } else {
-      console.log(chalk.green(`✔ File formatted successfully: ${filePath}`));
+      log.info(chalk.green(`✔ File formatted successfully: ${filePath}`));
       if (sizeDiff !== 0) {
         const change = sizeDiff > 0 ? 'reduced' : 'increased';
-        console.log(chalk.blue(`📏 Size ${change} by ${Math.abs(sizeDiff)} bytes`));
+        log.info(chalk.blue(`📏 Size ${change} by ${Math.abs(sizeDiff)} bytes`));
       }
     }
 
-    return true;
+    return { file: filePath, changed, savedBytes: sizeDiff };
   } catch (err) {
-    console.error(
-      chalk.red(`✖ Failed to ${shouldMinify ? 'minify' : 'format'} file: ${err.message}`),
-    );
+    log.error(chalk.red(`✖ Failed to ${shouldMinify ? 'minify' : 'format'} file: ${err.message}`));
+    log.debug(err.stack);
+    printVerificationIssues(err, filePath);
 
     // Provide helpful suggestions
     if (err.message.includes('Unexpected token')) {
-      console.log(
+      log.warn(
         chalk.yellow('💡 Tip: Make sure the file contains valid JavaScript/TypeScript syntax'),
       );
     } else if (err.message.includes('parser')) {
-      console.log(
-        chalk.yellow('💡 Tip: Try specifying a different parser or check file extension'),
+      log.warn(chalk.yellow('💡 Tip: Try specifying a different parser or check file extension'));
+    }
+
+    return {
+      file: filePath,
+      changed: false,
+      savedBytes: 0,
+      error: err.message,
+      errorCode: err.code,
+    };
+  }
+}
+
+/**
+ * Format source code with Prettier or minify it with Terser, without touching the
+ * file system or the console.
+ * @param {string} code - Source code.
+ * @param {object} options - Format options.
+ * @param {boolean} options.minify - If true, minify with Terser instead of formatting.
+ * @param {object} options.terser - Terser options merged over the defaults (compress, mangle, format).
+ * @param {object} options.prettier - Prettier options used when no Prettier config is found.
+ * @param {boolean} options.sourceMap - If true, return a source map for the output.
+ * @param {string} options.filename - File the code came from: picks the Prettier config and parser.
+ * @param {object} options.inputMap - Existing map of the input, chained into the output map.
+ * @param {boolean} options.verify - If false, skip re-parsing and comparing the output's exports.
+ * @param {boolean} options.nodeCheck - If true, also run `node --check` on the output.
+ * @returns {Promise<object>} `{ code, map, changed, savedBytes, warnings }`.
+ * @throws {ParseError} If the code has a syntax error.
+ * @throws {TransformError} If Prettier or Terser fail for another reason.
+ * @throws {VerificationError} If the output doesn't parse or lost part of its API.
+ */
+export async function formatCode(code, options = {}) {
+  const { minify: shouldMinify = false, sourceMap = false, filename } = options;
+  const sourceFileName = filename ? path.basename(filename) : 'input.js';
+  const warnings = [];
+  let processedCode;
+  let map = null;
+
+  if (shouldMinify) {
+    let result;
+    try {
+      result = await minify(
+        { [sourceFileName]: code },
+        {
+          ...terserOptions(options.terser),
+          sourceMap: sourceMap ? { asObject: true, includeSources: true } : false,
+        },
       );
+    } catch (err) {
+      throw err.line ? toParseError(err, filename) : transformError('Terser', err, filename);
     }
 
-    return false;
+    processedCode = result.code;
+    map = result.map || null;
+  } else {
+    // Try to find prettier config, fallback to defaults
+    let prettierOptions;
+    if (filename) {
+      try {
+        prettierOptions = await prettier.resolveConfig(filename);
+      } catch (e) {
+        warnings.push('Could not resolve prettier config, using defaults');
+      }
+    }
+
+    // Set default options if none found
+    prettierOptions = prettierOptions || { ...DEFAULT_PRETTIER_OPTIONS, ...options.prettier };
+
+    // Ensure parser is set
+    if (!prettierOptions.parser) {
+      const ext = (filename || '').split('.').pop().toLowerCase();
+      prettierOptions.parser = ext === 'ts' ? 'typescript' : 'babel';
+    }
+
+    try {
+      processedCode = await prettier.format(code, prettierOptions);
+    } catch (prettierError) {
+      // Fallback to babel parser if the detected parser fails
+      warnings.push('Parser failed, trying babel parser...');
+      prettierOptions.parser = 'babel';
+      try {
+        processedCode = await prettier.format(code, prettierOptions);
+      } catch (err) {
+        throw err.loc ? toParseError(err, filename) : transformError('Prettier', err, filename);
+      }
+    }
+
+    // Prettier has no source map support, so derive one from the output
+    if (sourceMap) map = createAlignmentMap(code, processedCode, sourceFileName);
   }
+
+  if (options.verify !== false) {
+    const verified = assertVerified(code, processedCode, {
+      filename: sourceFileName,
+      nodeCheck: options.nodeCheck,
+    });
+    if (!verified) warnings.push('Output not verified: the input could not be parsed');
+  }
+
+  if (map) map = chainMaps(map, options.inputMap);
+
+  return {
+    code: processedCode,
+    map,
+    changed: processedCode !== code,
+    savedBytes: code.length - processedCode.length,
+    warnings,
+  };
+}
+
+function transformError(tool, err, file) {
+  return new TransformError(`${tool} error: ${err.message}`, { file, cause: err });
+}
+
+// Merge user Terser options over the defaults; `compress: false` etc. disables a section
+function terserOptions(overrides = {}) {
+  const merged = { ...DEFAULT_TERSER_OPTIONS, ...overrides };
+
+  ['compress', 'mangle', 'format'].forEach((section) => {
+    const value = overrides[section];
+    if (value && typeof value === 'object') {
+      merged[section] = { ...DEFAULT_TERSER_OPTIONS[section], ...value };
+    }
+  });
+
+  return merged;
 }
@@ -0,0 +1,639 @@
+/** A path to a file, or source code held in memory. */
+export type Input = string | SourceInput;
+
+export interface SourceInput {
+  code: string;
+  /** Used for the Prettier config and parser, and as the source name in maps. */
+  filename?: string;
+  /** Existing source map of `code`, chained into the output map. */
+  map?: SourceMap | null;
+}
+
+export interface SourceMap {
+  version: number;
+  file?: string;
+  sources: string[];
+  sourcesContent?: (string | null)[];
+  names: string[];
+  mappings: string;
+  sourceRoot?: string;
+}
+
+// Analyze
+
+export type ReferenceKind =
+  | 'esm'
+  | 'cjs'
+  | 'dynamic'
+  | 'type'
+  | 'resolve'
+  | 'amd'
+  | 'bundled'
+  | 'embedded';
+
+export interface Reference {
+  kind: ReferenceKind;
+  line: number | null;
+  column: number | null;
+}
+
+export interface Binding {
+  local: string;
+  imported: string;
+  type: 'default' | 'named' | 'namespace' | 'require' | 'amd';
+  line: number | null;
+  column: number | null;
+  references: number;
+  locations: { line: number; column: number }[];
+}
+
+export interface PackageUsage {
+  name: string;
+  /** Version the analyzed file resolves to, or 'N/A'. */
+  version: string;
+  /** Every version in the lockfile, plus the resolved one; more than one means duplicates. */
+  versions: string[];
+  kinds: ReferenceKind[];
+  usages: number;
+  references: Reference[];
+  bindings: Binding[];
+}
+
+export interface BundledPackage {
+  name: string;
+  size: number;
+  modules: number;
+}
+
+export interface EmbeddedLibrary {
+  name: string;
+  version: string;
+  /** Offset of the banner (or wrapper) in the source. */
+  start: number;
+  /** Offset just past the wrapper statement. */
+  end: number;
+  /** Size in bytes. */
+  size: number;
+  evidence: 'banner' | 'umd' | 'version';
+}
+
+export interface AnalyzeReport {
+  file: string | null;
+  lines: number;
+  size: number;
+  parser: 'ast' | 'regex';
+  packages: PackageUsage[];
+  bundle: {
+    type: 'webpack' | 'browserify' | 'esbuild';
+    modules: number;
+    packages: BundledPackage[];
+  } | null;
+  /** Libraries pasted into the file, found by banner, UMD wrapper or VERSION assignment. */
+  libraries: EmbeddedLibrary[];
+  totalReferences: number;
+  mostUsed: string | null;
+  unusedImports: (Binding & { package: string })[];
+}
+
+export interface ProjectReport {
+  files: number;
+  lines: number;
+  size: number;
+  packages: {
+    name: string;
+    version: string;
+    versions: string[];
+    usages: number;
+    files: string[];
+  }[];
+  unusedImports: (Binding & { package: string; file: string })[];
+  failures: { file: string; error: string }[];
+  reports: AnalyzeReport[];
+}
+
+export interface AnalyzeProjectOptions {
+  /** Extra glob patterns to exclude. */
+  ignore?: string[];
+  /** Maximum files analyzed at once (default 4). */
+  concurrency?: number;
+}
+
+export function analyze(input: Input): Promise<AnalyzeReport>;
+
+export function analyzeProject(
+  inputs: string | string[],
+  options?: AnalyzeProjectOptions,
+): Promise<ProjectReport>;
+
+export function toSarif(report: AnalyzeReport): object;
+
+/** Find well-known libraries pasted into a file, by banner, UMD wrapper or VERSION assignment. */
+export function detectLibraries(code: string): EmbeddedLibrary[];
+
+// Dependencies
+
+export interface DependencyReference {
+  file: string;
+  line: number | null;
+  column: number | null;
+}
+
+export interface DependencyCheck {
+  /** Absolute path of the package.json checked against. */
+  manifest: string;
+  files: number;
+  /** Imported but not declared in any dependency field. */
+  missing: { name: string; references: DependencyReference[] }[];
+  /** In `dependencies` but never imported. */
+  unused: { name: string; version: string }[];
+  /** Imported from production code but only listed in `devDependencies`. */
+  devOnly: { name: string; references: DependencyReference[] }[];
+  /** Files that could not be read or parsed; any make `ok` false. */
+  failures: { file: string; error: string }[];
+  ok: boolean;
+}
+
+export interface CheckDependenciesOptions extends AnalyzeProjectOptions {
+  /** package.json to check against (default: the nearest one). */
+  manifest?: string;
+  /** Extra globs, relative to the project root, for development-only files. */
+  dev?: string[];
+  /** Packages never reported. */
+  ignorePackages?: string[];
+}
+
+export function checkDependencies(
+  inputs?: string | string[],
+  options?: CheckDependenciesOptions,
+): Promise<DependencyCheck>;
+
+// Versions
+
+export interface PackageVersion {
+  /** Package name, or null for relative, URL and `node:` specifiers. */
+  name: string | null;
+  version: string;
+  versions: string[];
+  source: 'node_modules' | 'workspace' | 'lockfile' | 'NODE_PATH' | null;
+}
+
+/** Resolve a specifier like `lodash/map` to its installed version, looking from `from`. */
+export function resolvePackageVersion(specifier: string, from?: string): PackageVersion;
+
+// Remove
+
+export interface RemoveOptions {
+  /** Deep module-map, AST and regex removal for minified/bundled code. */
+  force?: boolean;
+  /** With `force`, remove any reference to the package (may break code). */
+  aggressive?: boolean;
+  /**
+   * How specifiers are matched (default 'exact'). All but 'regex' compare package names:
+   * 'exact' the package and its subpaths, 'prefix' names starting with the pattern, 'glob'
+   * names matching a `*` pattern; 'regex' tests the whole specifier.
+   */
+  match?: 'exact' | 'prefix' | 'glob' | 'regex';
+  /** Also remove statements that use the imported bindings. */
+  withUsages?: boolean;
+  /** Expression substituted for usages that cannot be removed. */
+  stub?: string;
+  /** Return (and write) a source map, chained with any existing input map. */
+  sourceMap?: boolean;
+  /** Re-parse the output and compare its exports before writing (default true). */
+  verify?: boolean;
+  /** Also run `node --check` on the output. */
+  nodeCheck?: boolean;
+  /** Set to false to leave the input file untouched. */
+  write?: boolean;
+  /** Save the original to the backup store: `true` for a run of its own, or a shared session. */
+  backup?: boolean | BackupSession;
+}
+
+export interface UnresolvedUsage {
+  name: string;
+  line: number | null;
+  column: number;
+  code: string;
+}
+
+export interface RemoveResult {
+  file: string | null;
+  code: string;
+  map: SourceMap | null;
+  changed: boolean;
+  written: boolean;
+  removedCount: number;
+  savedBytes: number;
+  strategy: 'import' | 'bundle' | 'embedded' | 'ast' | 'regex' | 'aggressive' | null;
+  /** Every specifier, bundled module path or library removed, located in the input. */
+  matched: { specifier: string; line: number; column: number }[];
+  usages: { removed: number; stubbed: number; unresolved: UnresolvedUsage[] } | null;
+  /** Libraries cut out by the 'embedded' strategy. */
+  embedded: EmbeddedLibrary[] | null;
+  /** Bundled modules of the package left in place, with the names the bundle still uses. */
+  kept: { path: string; names: string[] }[];
+  warnings: string[];
+}
+
+export function removePackage(
+  input: Input,
+  packageName: string,
+  options?: RemoveOptions,
+): Promise<RemoveResult>;
+
+// Replace
+
+export interface ReplaceMapping {
+  /** Import style of the new package. */
+  style?: 'default' | 'namespace';
+  /** Old export name → new name, `"default"` for the default export, null when there is none. */
+  exports?: Record<string, string | null>;
+  /** Specifier → specifier, e.g. `moment/locale/fr` → `dayjs/locale/fr`. */
+  specifiers?: Record<string, string>;
+}
+
+export interface ReplaceOptions {
+  /** Mapping object, or the path of a JSON mapping file. */
+  mapping?: ReplaceMapping | string;
+  /** Import style of the new package (default: the mapping's, or keep each import's). */
+  style?: 'default' | 'namespace';
+  /** Rename local names such as `moment` after the new package (default true). */
+  rename?: boolean;
+  /** Return (and write) a source map, chained with any existing input map. */
+  sourceMap?: boolean;
+  /** Re-parse the output and compare its exports before writing (default true). */
+  verify?: boolean;
+  /** Also run `node --check` on the output. */
+  nodeCheck?: boolean;
+  /** Set to false to leave the input file untouched. */
+  write?: boolean;
+  /** Save the original to the backup store: `true` for a run of its own, or a shared session. */
+  backup?: boolean | BackupSession;
+}
+
+export interface UnmappedUsage extends UnresolvedUsage {
+  /** Why it couldn't be mapped, e.g. `no equivalent in 'dayjs'`. */
+  reason: string;
+}
+
+export interface ReplaceResult {
+  file: string | null;
+  code: string;
+  map: SourceMap | null;
+  changed: boolean;
+  written: boolean;
+  /** Specifiers rewritten. */
+  replacedCount: number;
+  /** Names renamed through the mapping. */
+  remappedCount: number;
+  unresolved: UnmappedUsage[];
+  savedBytes: number;
+}
+
+export function replacePackage(
+  input: Input,
+  from: string,
+  to: string,
+  options?: ReplaceOptions,
+): Promise<ReplaceResult>;
+
+// Shake
+
+export interface ShakeOptions {
+  /** Exports to keep (`default` for the default export). */
+  keep?: string[];
+  /** Files, directories or globs whose imports of the module are kept too (file input only). */
+  usedBy?: string | string[];
+  /** Extra glob patterns to exclude from `usedBy`. */
+  ignore?: string[];
+  /** Minify the output. */
+  minify?: boolean;
+  /** Set to false to leave the input file untouched. */
+  write?: boolean;
+  /** Save the original to the backup store: `true` for a run of its own, or a shared session. */
+  backup?: boolean | BackupSession;
+}
+
+export interface UsedExports {
+  names: string[];
+  /** True when some import takes the whole module; nothing is dropped then. */
+  all: boolean;
+  /** The imports that take the whole module, as `file:line uses the whole module (kind)`. */
+  reasons: string[];
+  files: string[];
+}
+
+export interface ShakeResult {
+  file: string | null;
+  code: string;
+  changed: boolean;
+  written: boolean;
+  savedBytes: number;
+  exports: string[];
+  kept: string[];
+  /** Dropped exports with the bytes keeping each would have cost (estimated), largest first. */
+  removed: { name: string; bytes: number }[];
+  /** Requested names the module doesn't export. */
+  unknown: string[];
+  used: UsedExports | null;
+}
+
+export function shake(input: Input, options?: ShakeOptions): Promise<ShakeResult>;
+
+// Format
+
+export interface FormatOptions {
+  /** Minify with Terser instead of formatting with Prettier. */
+  minify?: boolean;
+  /** Terser options merged over the defaults (compress, mangle, format). */
+  terser?: Record<string, unknown>;
+  /** Prettier options used when no Prettier config is found. */
+  prettier?: Record<string, unknown>;
+  /** Return (and write) a source map, chained with any existing input map. */
+  sourceMap?: boolean;
+  /** Re-parse the output and compare its exports before writing (default true). */
+  verify?: boolean;
+  /** Also run `node --check` on the output. */
+  nodeCheck?: boolean;
+  /** Set to false to leave the input file untouched. */
+  write?: boolean;
+  /** Save the original to the backup store: `true` for a run of its own, or a shared session. */
+  backup?: boolean | BackupSession;
+}
+
+export interface FormatResult {
+  file: string | null;
+  code: string;
+  map: SourceMap | null;
+  changed: boolean;
+  written: boolean;
+  savedBytes: number;
+  warnings: string[];
+}
+
+export function format(input: Input, options?: FormatOptions): Promise<FormatResult>;
+
+// Bundle
+
+export interface BundleOptions {
+  /** Output file name (default `bundle.js`). */
+  outputFile?: string;
+  minify?: boolean;
+  format?: 'esm' | 'cjs' | 'iife' | 'umd';
+  platform?: 'browser' | 'node' | 'neutral';
+  /** esbuild target(s), e.g. `es2017` or `['chrome58', 'firefox57']`. */
+  target?: string | string[];
+  /** Global the iife/umd bundle is assigned to (default `VendorBundle`). */
+  globalName?: string;
+  /** Export name per package, e.g. `{ jquery: '$' }`. */
+  exposeAs?: Record<string, string>;
+  /**
+   * Packages left out of the bundle, as `name` or `name=Global`. iife/umd bundles read them
+   * from that global (default: the library's usual global).
+   */
+  external?: string[];
+  /** Write a snippet loading the external packages from a CDN; a string is the URL template. */
+  cdn?: boolean | string;
+  /** Path of the CDN snippet (default `<outputFile>.cdn.html`); a .js path writes a loader. */
+  cdnSnippet?: string;
+  /**
+   * Packages per output file, e.g. `{ charts: ['chart.js', 'd3'] }`; packages in no group form
+   * one more group named after `outputFile`. Supports `esm`, `iife` and `cjs` output.
+   */
+  groups?: Record<string, string[] | string>;
+  /** Directory for grouped bundles (default: the directory of `outputFile`). */
+  outDir?: string;
+  /** Manifest path for grouped bundles (default `<outDir>/manifest.json`). */
+  manifest?: string;
+  sourceMap?: boolean;
+  /** Write esbuild's metafile, to this path or `<outputFile>.meta.json`. */
+  metafile?: boolean | string;
+  /** Build a per-package size report. */
+  report?: boolean;
+  /** Path of a standalone HTML treemap to write. */
+  treemap?: string;
+  /** Set to false to get the bundle back as `code` instead of writing it. */
+  write?: boolean;
+  /** Save overwritten output files to the backup store: `true`, or a shared session. */
+  backup?: boolean | BackupSession;
+}
+
+export interface BundleReport {
+  output: string;
+  bytes: number;
+  packages: {
+    name: string;
+    versions: string[];
+    copies: { path: string; version: string }[];
+    files: { path: string; bytes: number; bytesInOutput: number }[];
+    bytesInOutput: number;
+    raw: number;
+    minified: number;
+    gzip: number;
+    brotli: number;
+  }[];
+  duplicates: BundleReport['packages'];
+}
+
+export interface BundleResult {
+  outputFile: string;
+  format: 'esm' | 'cjs' | 'iife' | 'umd';
+  globalName: string;
+  packages: { name: string; version: string; versions: string[]; exportName: string }[];
+  /** `version` and `url` are set when a CDN snippet was requested. */
+  externals: { name: string; global: string; version?: string; url?: string }[];
+  snippetPath: string | null;
+  metafile: object | null;
+  metafilePath: string | null;
+  report: BundleReport | null;
+  warnings: string[];
+  /** Only set when `write` is false. */
+  code?: string;
+  map?: SourceMap | null;
+  snippet?: string;
+}
+
+export interface BundleManifest {
+  format: 'esm' | 'iife' | 'cjs';
+  /** Keyed by path relative to the output directory. */
+  files: Record<string, { hash: string; bytes: number; packages: string[]; imports: string[] }>;
+  packages: Record<string, { version: string; group: string; file: string; hash: string }>;
+}
+
+export interface GroupedBundleResult {
+  outDir: string;
+  format: 'esm' | 'iife' | 'cjs';
+  globalName: string;
+  groups: {
+    name: string;
+    file: string;
+    /** Common chunks the file needs loaded first. */
+    imports: string[];
+    packages: { name: string; version: string; versions: string[]; exportName: string }[];
+  }[];
+  files: {
+    file: string;
+    /** Null for common chunks. */
+    group: string | null;
+    hash: string;
+    bytes: number;
+    packages: string[];
+    imports: string[];
+    /** Only set when `write` is false. */
+    code?: string;
+  }[];
+  externals: { name: string; global: string }[];
+  manifest: BundleManifest;
+  manifestPath: string | null;
+  warnings: string[];
+}
+
+export function bundle(
+  packages: string[],
+  options: BundleOptions & { groups: Record<string, string[] | string> },
+): Promise<GroupedBundleResult>;
+export function bundle(packages: string[], options?: BundleOptions): Promise<BundleResult>;
+
+/** Package names from a package.json's `dependencies` or an npm lockfile's direct dependencies. */
+export function selectPackages(
+  file: string,
+  options?: { include?: string[]; exclude?: string[] },
+): string[];
+
+// Verification
+
+export interface VerificationIssue {
+  type: 'syntax' | 'node-check' | 'surface' | 'undeclared';
+  message: string;
+  /** Missing export or top-level name, or the name left without a declaration. */
+  name?: string;
+  line?: number | null;
+  column?: number | null;
+}
+
+export function verifyTransform(
+  before: string,
+  after: string,
+  options?: {
+    filename?: string;
+    removedPackage?: string | ((specifier: string) => boolean);
+    nodeCheck?: boolean;
+  },
+): {
+  ok: boolean;
+  /** False when the input doesn't parse, so the output couldn't be checked against it. */
+  verified: boolean;
+  issues: VerificationIssue[];
+};
+
+// Backups
+
+export interface BackupStoreOptions {
+  /** Backup directory (default `.kz/backups` at the project root). */
+  dir?: string;
+}
+
+export interface BackupRun {
+  id: string;
+  time: string;
+  command: string;
+  cwd: string;
+  /** Id of the run this one reverted, for undo/restore runs. */
+  restores: string | null;
+  undone: boolean;
+  files: { file: string; existed: boolean; backup: string | null; hash: string | null }[];
+}
+
+export interface BackupSession {
+  id: string;
+  /** Copy a file's current contents into the store before it is overwritten. */
+  save(filePath: string): void;
+  /** Record the run in the journal and prune old runs. */
+  finish(): BackupRun | null;
+}
+
+export function createBackupSession(
+  command: string,
+  options?: BackupStoreOptions & { keep?: number; maxAge?: number },
+): BackupSession;
+
+export function listBackups(options?: BackupStoreOptions): BackupRun[];
+
+export function restoreBackup(
+  id: string,
+  options?: BackupStoreOptions & { files?: string[]; force?: boolean },
+): {
+  run: BackupRun;
+  session: string;
+  restored: string[];
+  skipped: { file: string; reason: string }[];
+};
+
+export function pruneBackups(
+  options?: BackupStoreOptions & { keep?: number; maxAge?: number; all?: boolean },
+): BackupRun[];
+
+// Errors
+
+export type ErrorCode =
+  | 'KZ_ERROR'
+  | 'FILE_NOT_FOUND'
+  | 'PARSE_ERROR'
+  | 'TRANSFORM_ERROR'
+  | 'BUNDLE_ERROR'
+  | 'INVALID_OPTION'
+  | 'VERIFICATION_ERROR'
+  | 'WRITE_ERROR'
+  | 'BACKUP_ERROR'
+  | 'CONFIG_ERROR';
+
+export class KzError extends Error {
+  code: ErrorCode;
+  file: string | null;
+  constructor(message: string, options?: { code?: ErrorCode; file?: string; cause?: unknown });
+}
+
+export class FileNotFoundError extends KzError {
+  code: 'FILE_NOT_FOUND';
+  constructor(file: string);
+}
+
+export class ParseError extends KzError {
+  code: 'PARSE_ERROR';
+  /** 1-based position of the syntax error, when known. */
+  line: number | null;
+  column: number | null;
+}
+
+export class TransformError extends KzError {
+  code: 'TRANSFORM_ERROR';
+}
+
+export class BundleError extends KzError {
+  code: 'BUNDLE_ERROR';
+  /** esbuild's error messages. */
+  errors: { text: string; location: object | null }[];
+}
+
+export class InvalidOptionError extends KzError {
+  code: 'INVALID_OPTION';
+}
+
+export class VerificationError extends KzError {
+  code: 'VERIFICATION_ERROR';
+  issues: VerificationIssue[];
+}
+
+export class WriteError extends KzError {
+  code: 'WRITE_ERROR';
+}
+
+export class BackupError extends KzError {
+  code: 'BACKUP_ERROR';
+}
+
+export class ConfigError extends KzError {
+  code: 'CONFIG_ERROR';
+  issues: string[];
+  constructor(message: string, file?: string, issues?: string[]);
+}
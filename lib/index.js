@@ -0,0 +1,250 @@
+import path from 'path';
+import { analyzeCode, buildProjectReport, toSarif } from './analyze.js';
+import { removePackageFromCode } from './remove.js';
+import { replacePackageInCode, loadMapping } from './replace.js';
+import { formatCode } from './format.js';
+import { shakeCode, findUsedExports } from './shake.js';
+import { buildBundle } from './bundle.js';
+import { readSource, writeOutput } from './utils.js';
+import { stripSourceMappingURL, readInputMap } from './sourcemap.js';
+import { createBackupSession } from './backup.js';
+import { InvalidOptionError } from './errors.js';
+
+export {
+  KzError,
+  FileNotFoundError,
+  ParseError,
+  TransformError,
+  BundleError,
+  InvalidOptionError,
+  VerificationError,
+  WriteError,
+  BackupError,
+  ConfigError,
+} from './errors.js';
+export { toSarif };
+export { verifyTransform } from './verify.js';
+export { checkDependencies } from './deps.js';
+export { resolvePackageVersion } from './versions.js';
+export { detectLibraries } from './signatures.js';
+export { selectPackages } from './select.js';
+export { createBackupSession, listBackups, restoreBackup, pruneBackups } from './backup.js';
+
+/**
+ * Analyze a file or a piece of source code for package usage.
+ * @param {string|object} input - Path to a file, or `{ code, filename }`.
+ * @returns {Promise<object>} The analysis report.
+ * @throws {FileNotFoundError} If the file doesn't exist.
+ */
+export async function analyze(input) {
+  const { file, code } = readInput(input, false);
+  return analyzeCode(code, file);
+}
+
+/**
+ * Analyze every file matched by a set of files, directories or globs.
+ * @param {string|string[]} inputs - Files, directories or glob patterns.
+ * @param {object} options - Analyze options.
+ * @param {string[]} options.ignore - Extra glob patterns to exclude.
+ * @param {number} options.concurrency - Maximum files analyzed at once.
+ * @returns {Promise<object>} Project report with a package → files index.
+ */
+export async function analyzeProject(inputs, options = {}) {
+  return buildProjectReport(inputs, options);
+}
+
+/**
+ * Remove a package from a file or a piece of source code. Files are rewritten
+ * in place unless `write` is false; source strings are never written anywhere.
+ * @param {string|object} input - Path to a file, or `{ code, filename, map }`.
+ * @param {string} packageName - Name of package.
+ * @param {object} options - Removal options (force, aggressive, withUsages, stub, sourceMap, verify, nodeCheck, write, backup).
+ * @returns {Promise<object>} `{ file, code, map, changed, written, removedCount, savedBytes, strategy, usages, warnings }`.
+ * @throws {FileNotFoundError} If the file doesn't exist.
+ * @throws {ParseError} If the code can't be parsed in normal mode.
+ * @throws {InvalidOptionError} If the stub expression is invalid.
+ * @throws {VerificationError} If the output doesn't parse or lost exports; nothing is written.
+ * @throws {WriteError} If the file can't be written.
+ */
+export async function removePackage(input, packageName, options = {}) {
+  if (!packageName || typeof packageName !== 'string') {
+    throw new InvalidOptionError('A package name is required');
+  }
+
+  const source = readInput(input, options.sourceMap);
+  const result = removePackageFromCode(source.code, packageName, {
+    ...options,
+    filename: source.filename,
+    inputMap: source.inputMap,
+  });
+
+  const written = save(source, result, options, `removePackage ${source.file} ${packageName}`);
+  return { file: source.file, ...result, written };
+}
+
+/**
+ * Replace a package with another in a file or a piece of source code. Files are
+ * rewritten in place unless `write` is false; source strings are never written anywhere.
+ * @param {string|object} input - Path to a file, or `{ code, filename, map }`.
+ * @param {string} from - Package to replace, e.g. `moment`.
+ * @param {string} to - Package to use instead, e.g. `dayjs`.
+ * @param {object} options - Replace options (mapping, style, rename, sourceMap, verify, nodeCheck, write, backup);
+ *   `mapping` is a mapping object or the path of a mapping file.
+ * @returns {Promise<object>} `{ file, code, map, changed, written, replacedCount, remappedCount, unresolved, savedBytes }`.
+ * @throws {FileNotFoundError} If the file or the mapping file doesn't exist.
+ * @throws {ParseError} If the code can't be parsed.
+ * @throws {InvalidOptionError} If the package names, style or mapping are invalid.
+ * @throws {VerificationError} If the output doesn't parse or lost exports; nothing is written.
+ * @throws {WriteError} If the file can't be written.
+ */
+export async function replacePackage(input, from, to, options = {}) {
+  if (!from || !to || typeof from !== 'string' || typeof to !== 'string') {
+    throw new InvalidOptionError('Both package names are required');
+  }
+
+  const mapping =
+    typeof options.mapping === 'string' ? loadMapping(options.mapping) : options.mapping;
+  const source = readInput(input, options.sourceMap);
+  const result = replacePackageInCode(source.code, from, to, {
+    ...options,
+    mapping,
+    filename: source.filename,
+    inputMap: source.inputMap,
+  });
+
+  const written = save(source, result, options, `replacePackage ${source.file} ${from} ${to}`);
+  return { file: source.file, ...result, written };
+}
+
+/**
+ * Format a file or a piece of source code with Prettier, or minify it with Terser.
+ * Files are rewritten in place unless `write` is false.
+ * @param {string|object} input - Path to a file, or `{ code, filename, map }`.
+ * @param {object} options - Format options (minify, terser, prettier, sourceMap, verify, nodeCheck, write, backup).
+ * @returns {Promise<object>} `{ file, code, map, changed, written, savedBytes, warnings }`.
+ * @throws {FileNotFoundError} If the file doesn't exist.
+ * @throws {ParseError} If the code has a syntax error.
+ * @throws {TransformError} If Prettier or Terser fail for another reason.
+ * @throws {VerificationError} If the output doesn't parse or lost part of its API; nothing is written.
+ * @throws {WriteError} If the file can't be written.
+ */
+export async function format(input, options = {}) {
+  const source = readInput(input, options.sourceMap);
+  const result = await formatCode(source.code, {
+    ...options,
+    filename: source.file || source.filename,
+    inputMap: source.inputMap,
+  });
+
+  const written = save(source, result, options, `format ${source.file}`);
+  return { file: source.file, ...result, written };
+}
+
+/**
+ * Drop the unused exports of an ES module, and the code only they use. Files are
+ * rewritten in place unless `write` is false.
+ * @param {string|object} input - Path to a file, or `{ code, filename }`.
+ * @param {object} options - Shake options (keep, usedBy, ignore, minify, write, backup); `usedBy`
+ *   adds the exports that those files import, and needs a file path as input.
+ * @returns {Promise<object>} `{ file, code, changed, written, savedBytes, exports, kept, removed,
+ *   unknown, used }`, where `used` is the findUsedExports result when `usedBy` was given.
+ * @throws {FileNotFoundError} If the file doesn't exist.
+ * @throws {InvalidOptionError} If the input isn't an ES module or `usedBy` is given for source code.
+ * @throws {ParseError} If the code can't be parsed.
+ * @throws {WriteError} If the file can't be written.
+ */
+export async function shake(input, options = {}) {
+  const source = readInput(input, false);
+  let keep = options.keep || [];
+  let used = null;
+
+  if (options.usedBy) {
+    if (!source.file)
+      throw new InvalidOptionError('`usedBy` needs the path of the module to shake');
+    used = await findUsedExports(source.file, options.usedBy, { ignore: options.ignore });
+    keep = used.all ? null : [...new Set([...keep, ...used.names])];
+  }
+
+  // Sources that take the whole module leave nothing to drop
+  if (!keep) {
+    return {
+      file: source.file,
+      code: source.code,
+      changed: false,
+      written: false,
+      savedBytes: 0,
+      exports: [],
+      kept: [],
+      removed: [],
+      unknown: [],
+      used,
+    };
+  }
+
+  const result = await shakeCode(source.code, {
+    keep,
+    minify: options.minify,
+    filename: source.file || source.filename,
+  });
+
+  const written = save(source, result, options, `shake ${source.file}`);
+  return { file: source.file, ...result, written, used };
+}
+
+/**
+ * Bundle npm packages into a single file that exposes each package's exports.
+ * @param {string[]} packages - Packages to include.
+ * @param {object} options - Bundle options (outputFile, format, platform, exposeAs, write, backup, ...).
+ * @returns {Promise<object>} `{ outputFile, format, globalName, packages, externals, snippetPath,
+ *   metafile, report, warnings, code, map, snippet }`.
+ * @throws {InvalidOptionError} If the format, platform, global or export names are invalid.
+ * @throws {BundleError} If esbuild fails.
+ */
+export async function bundle(packages, options = {}) {
+  const backup = openBackup(options, `bundle ${[].concat(packages).join(' ')}`);
+  try {
+    return await buildBundle(packages, { ...options, backup });
+  } finally {
+    if (backup && options.backup === true) backup.finish();
+  }
+}
+
+// A string is a path; `{ code }` is source held in memory
+function readInput(input, sourceMap) {
+  if (typeof input === 'string') {
+    const original = readSource(input);
+    const { code, url } = sourceMap ? stripSourceMappingURL(original) : { code: original };
+    return {
+      file: input,
+      filename: path.basename(input),
+      code,
+      inputMap: sourceMap ? readInputMap(input, url) : null,
+    };
+  }
+
+  if (input && typeof input.code === 'string') {
+    return {
+      file: null,
+      filename: input.filename ? path.basename(input.filename) : undefined,
+      code: input.code,
+      inputMap: input.map || null,
+    };
+  }
+
+  throw new InvalidOptionError('Expected a file path or an object with a `code` string');
+}
+
+function save(source, result, options, command) {
+  if (!source.file || !result.changed || options.write === false) return false;
+
+  const backup = openBackup(options, command);
+  writeOutput(source.file, result.code, result.map, backup);
+  if (backup && options.backup === true) backup.finish();
+  return true;
+}
+
+// `backup: true` records the call as its own run; a session groups several calls into one
+function openBackup(options, command) {
+  if (!options.backup) return null;
+  return options.backup === true ? createBackupSession(command) : options.backup;
+}
@@ -0,0 +1,70 @@
+import util from 'util';
+import chalk from 'chalk';
+import { InvalidOptionError } from './errors.js';
+
+/**
+ * Output levels, least to most talkative. 'quiet' keeps errors and the output a command
+ * was asked for (diffs, JSON, SARIF); 'verbose' adds debug details on stderr.
+ */
+export const LOG_LEVELS = ['silent', 'quiet', 'normal', 'verbose'];
+
+const settings = { level: 'normal', emoji: true };
+
+// Pictographs (including ✔ ✖ ⚠), their variation selector and the space after them
+const EMOJI = /\p{Extended_Pictographic}\uFE0F?[ \t]?/gu;
+
+/**
+ * Change how the CLI's messages are printed.
+ * @param {object} options - Logger options.
+ * @param {string} options.level - One of LOG_LEVELS.
+ * @param {boolean} options.color - False to print without ANSI colors.
+ * @param {boolean} options.emoji - False to strip emoji and symbols from messages.
+ * @throws {InvalidOptionError} If the level is unknown.
+ */
+export function configureLogger(options = {}) {
+  if (options.level !== undefined) {
+    if (!LOG_LEVELS.includes(options.level)) {
+      throw new InvalidOptionError(
+        `Unknown log level '${options.level}' (expected ${LOG_LEVELS.join(', ')})`,
+      );
+    }
+    settings.level = options.level;
+  }
+  if (options.emoji !== undefined) settings.emoji = options.emoji;
+  if (options.color === false) chalk.level = 0;
+}
+
+const enabled = (level) => LOG_LEVELS.indexOf(settings.level) >= LOG_LEVELS.indexOf(level);
+
+const format = (args) => {
+  const text = util.format(...args);
+  return settings.emoji ? text : text.replace(EMOJI, '');
+};
+
+/**
+ * The one place messages are printed. Results and progress go to stdout; warnings,
+ * tips, errors and debug details are diagnostics and go to stderr, so piping a
+ * command's output never captures them.
+ */
+export const log = {
+  /** Progress and results (stdout), hidden by --quiet. */
+  info(...args) {
+    if (enabled('normal')) console.log(format(args));
+  },
+  /** Warnings and tips (stderr), hidden by --quiet. */
+  warn(...args) {
+    if (enabled('normal')) console.error(format(args));
+  },
+  /** Failures (stderr), shown unless silent. */
+  error(...args) {
+    if (enabled('quiet')) console.error(format(args));
+  },
+  /** Details only --verbose shows (stderr). */
+  debug(...args) {
+    if (enabled('verbose')) console.error(chalk.gray(format(args)));
+  },
+  /** Output the command was asked for (stdout), printed as-is even with --quiet. */
+  data(...args) {
+    if (enabled('quiet')) console.log(...args);
+  },
+};
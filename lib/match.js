@@ -0,0 +1,84 @@
+import { getPackageName } from './utils.js';
+import { InvalidOptionError } from './errors.js';
+
+export const MATCH_MODES = ['exact', 'prefix', 'glob', 'regex'];
+
+// Characters that can continue a package name or path around a match in free text
+const NAME_BEFORE = '(?<![\\w$@./-])';
+const NAME_AFTER = '(?![\\w$-])';
+
+/**
+ * Build the test force-mode removal uses to decide which specifiers belong to a package.
+ * Every mode but 'regex' compares the package name a specifier resolves to, so `react`
+ * matches `react` and `react/jsx-runtime` but never `react-dom`, `preact` or `my-react-utils`.
+ *
+ * - 'exact': the package itself, with its subpaths; a name with a subpath (`lodash/fp`)
+ *   matches that subpath and below.
+ * - 'prefix': packages whose name starts with the pattern (`react` → `react-dom`, `@babel/`).
+ * - 'glob': package names matching a `*` wildcard pattern (`@types/*`, `lodash.*`).
+ * - 'regex': a regular expression tested against the whole specifier.
+ * @param {string} pattern - Package name or pattern.
+ * @param {string} mode - One of MATCH_MODES (default 'exact').
+ * @returns {object} `{ pattern, mode, test(specifier), source }`, where `source` is a regex
+ *   source that finds the package's name in free text (identifiers, comments, strings).
+ * @throws {InvalidOptionError} If the mode is unknown or the regex invalid.
+ */
+export function createPackageMatcher(pattern, mode = 'exact') {
+  if (!pattern || typeof pattern !== 'string') {
+    throw new InvalidOptionError('A package name is required');
+  }
+  if (!MATCH_MODES.includes(mode)) {
+    throw new InvalidOptionError(
+      `Unknown match mode '${mode}' (expected ${MATCH_MODES.join(', ')})`,
+    );
+  }
+
+  if (mode === 'regex') {
+    let regex;
+    try {
+      regex = new RegExp(pattern);
+    } catch (err) {
+      throw new InvalidOptionError(`Invalid regex '${pattern}': ${err.message}`);
+    }
+    return {
+      pattern,
+      mode,
+      test: (specifier) => typeof specifier === 'string' && regex.test(specifier),
+      source: `(?:${pattern})`,
+    };
+  }
+
+  const escaped = escapeRegExp(pattern);
+  let test;
+  let source;
+
+  if (mode === 'exact' && getPackageName(pattern) !== pattern) {
+    test = (specifier) => specifier === pattern || String(specifier).startsWith(`${pattern}/`);
+    source = escaped;
+  } else if (mode === 'exact') {
+    test = (specifier) => getPackageName(specifier) === pattern;
+    source = escaped;
+  } else if (mode === 'prefix') {
+    test = (specifier) => (getPackageName(specifier) || '').startsWith(pattern);
+    source = `${escaped}[\\w.-]*`;
+  } else {
+    const glob = globToRegExp(pattern);
+    test = (specifier) => glob.test(getPackageName(specifier) || '');
+    source = pattern.split('*').map(escapeRegExp).join('[\\w.@/-]*');
+  }
+
+  return { pattern, mode, test, source: `${NAME_BEFORE}(?:${source})${NAME_AFTER}` };
+}
+
+/**
+ * Turn a `*` wildcard pattern into an anchored regular expression.
+ * @param {string} glob - Pattern, e.g. `@scope/*` or `lodash.*`.
+ * @returns {RegExp} Regular expression where `*` matches any run of characters.
+ */
+export function globToRegExp(glob) {
+  return new RegExp(`^${glob.split('*').map(escapeRegExp).join('.*')}$`);
+}
+
+function escapeRegExp(string) {
+  return string.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+}
@@ -1,47 +1,241 @@
-import fs from 'fs';
+import path from 'path';
 import chalk from 'chalk';
-import { parse } from '@babel/parser';
-import traverseModule from '@babel/traverse';
+import { parseExpression } from '@babel/parser';
 import generatorModule from '@babel/generator';
+import { printDiff } from './diff.js';
+import { removeBundledPackage } from './decoder.js';
+import { removeEmbeddedLibrary } from './signatures.js';
+import { createPackageMatcher } from './match.js';
+import { parseSource, findModuleReferences } from './specifiers.js';
+import { readSource, writeOutput } from './utils.js';
+import { InvalidOptionError, toParseError } from './errors.js';
+import { assertVerified, printVerificationIssues } from './verify.js';
+import { stripSourceMappingURL, readInputMap, createAlignmentMap, chainMaps } from './sourcemap.js';
+import { log } from './logger.js';
 
-const traverse = traverseModule.default;
 const generate = generatorModule.default;
 
+// `import x from 'p'`, `const x = require('p');` and `require('p')`, with the specifier captured
+const IMPORT_OR_REQUIRE = new RegExp(
+  [
+    `import\\s+[^"']*from\\s+(["'\`])([^"'\`]*)\\1[\\s;]?`,
+    `(?:var|let|const)\\s+[^=]*=\\s*require\\s*\\(\\s*(["'\`])([^"'\`]*)\\3\\s*\\)[\\s;]?`,
+    `require\\s*\\(\\s*(["'\`])([^"'\`]*)\\5\\s*\\)`,
+  ].join('|'),
+  'g',
+);
+
 /**
- * Remove a package from a file.
+ * Remove a package from a file, printing progress and writing the result.
  * @param {string} filePath - Path to file.
  * @param {string} packageName - Name of package.
- * @param {boolean} force - If true, use deep AST & regex removal for minified/bundled files.
- * @param {boolean} aggressive - If true, use aggressive patterns (may break code).
+ * @param {object} options - Removal options.
+ * @param {boolean} options.force - If true, use deep AST & regex removal for minified/bundled files.
+ * @param {boolean} options.aggressive - If true, use aggressive patterns (may break code).
+ * @param {string} options.match - How specifiers are matched: 'exact', 'prefix', 'glob' or 'regex'.
+ * @param {boolean} options.dryRun - If true, report what would be removed without writing.
+ * @param {boolean} options.diff - If true, print a unified diff of the change (implies dryRun).
+ * @param {boolean} options.withUsages - If true, also remove statements using the imported bindings.
+ * @param {string} options.stub - Expression substituted for usages that cannot be removed.
+ * @param {boolean} options.sourceMap - If true, write `<file>.map`, chained with any existing map.
+ * @param {object} options.backup - Backup session the original contents are saved to before writing.
+ * @param {boolean} options.verify - If false, write the output without verifying it first.
+ * @param {boolean} options.nodeCheck - If true, also run `node --check` on the output before writing.
+ * @returns {object} Result with `changed`, `removedCount`, `savedBytes` and `kept` (true when
+ *   bundled modules of the package were left in place), or `error` and `errorCode` on failure.
  */
-export async function removePackageFromFile(
-  filePath,
-  packageName,
-  force = false,
-  aggressive = false,
-) {
-  try {
-    if (!fs.existsSync(filePath)) throw new Error(`File not found: ${filePath}`);
+export async function removePackageFromFile(filePath, packageName, options = {}) {
+  const { force = false, diff = false, stub } = options;
+  const dryRun = options.dryRun || diff;
 
-    const originalCode = fs.readFileSync(filePath, 'utf8');
-    const originalSize = originalCode.length;
-    let code = originalCode;
-    let removed = false;
-    let removedCount = 0;
+  try {
+    const originalCode = readSource(filePath);
+    const input = options.sourceMap ? stripSourceMappingURL(originalCode) : { code: originalCode };
 
     if (force) {
-      console.log(chalk.blue(`🔍 Force mode enabled — deep scanning for '${packageName}'...`));
+      log.info(chalk.blue(`🔍 Force mode enabled — deep scanning for '${packageName}'...`));
+    }
+
+    const result = removePackageFromCode(input.code, packageName, {
+      ...options,
+      filename: path.basename(filePath),
+      inputMap: options.sourceMap ? readInputMap(filePath, input.url) : null,
+    });
+
+    result.warnings.forEach((warning) => log.warn(chalk.yellow(`⚠ ${warning}`)));
+    if (result.strategy === 'bundle') {
+      log.info(
+        chalk.blue(`🧩 Found ${result.removedCount} bundled module(s) for '${packageName}'`),
+      );
+    } else if (result.strategy === 'embedded') {
+      result.embedded.forEach((lib) => {
+        const version = lib.version !== 'N/A' ? ` v${lib.version}` : '';
+        log.info(
+          chalk.blue(`🔎 Found embedded ${lib.name}${version}`),
+          chalk.gray(`(${(lib.size / 1024).toFixed(2)} KB at ${lib.start}–${lib.end})`),
+        );
+      });
+    } else if (result.strategy === 'regex') {
+      log.info(chalk.blue(`🔍 Removed with conservative regex patterns`));
+    } else if (result.strategy === 'aggressive') {
+      log.warn(chalk.red(`⚠ Used AGGRESSIVE mode - this may break your code!`));
+    }
+    if (result.matched.length > 0) printMatchReport(result.matched, filePath);
+    if (result.usages) printUsageReport(result.usages, filePath, stub);
+
+    const kept = result.kept.length > 0;
+    if (!result.changed) {
+      if (kept) {
+        log.warn(
+          chalk.yellow(
+            `⚠ Found '${packageName}' in ${filePath} but kept it: the bundle still uses it`,
+          ),
+        );
+      } else if (force && !options.aggressive) {
+        log.warn(
+          chalk.yellow(
+            `⚠ Conservative removal found nothing. Use --aggressive for more thorough removal.`,
+          ),
+        );
+        log.warn(chalk.gray(`💡 Tip: The package might be deeply embedded in minified code.`));
+      } else {
+        log.warn(chalk.yellow(`⚠ Package '${packageName}' not found in ${filePath}`));
+      }
+      return { file: filePath, changed: false, removedCount: 0, savedBytes: 0, kept };
+    }
+
+    const { removedCount, savedBytes, usages } = result;
+    const savedKB = (savedBytes / 1024).toFixed(2);
+
+    if (diff) printDiff(filePath, originalCode, result.code);
+
+    if (dryRun) {
+      log.info(
+        chalk.cyan(
+          `🔍 Would remove ${removedCount} reference(s) to '${packageName}' from ${filePath}`,
+        ),
+      );
+      log.info(chalk.blue(`💾 Would save ${savedKB} KB (${savedBytes} bytes)`));
+      return {
+        file: filePath,
+        changed: true,
+        dryRun: true,
+        removedCount,
+        savedBytes,
+        usages,
+        kept,
+      };
+    }
+
+    writeOutput(filePath, result.code, result.map, options.backup);
+
+    log.info(
+      chalk.green(`✔ Removed ${removedCount} reference(s) to '${packageName}' from ${filePath}`),
+    );
+    log.info(chalk.blue(`💾 Saved ${savedKB} KB (${savedBytes} bytes)`));
+
+    return { file: filePath, changed: true, removedCount, savedBytes, usages, kept };
+  } catch (err) {
+    log.error(chalk.red(`✖ Failed to remove package: ${err.message}`));
+    log.debug(err.stack);
+    printVerificationIssues(err, filePath);
+    return {
+      file: filePath,
+      changed: false,
+      removedCount: 0,
+      savedBytes: 0,
+      error: err.message,
+      errorCode: err.code,
+    };
+  }
+}
+
+/**
+ * Remove a package from source code without touching the file system or the console.
+ * @param {string} code - Source code.
+ * @param {string} packageName - Name of package.
+ * @param {object} options - Removal options.
+ * @param {boolean} options.force - If true, use deep AST & regex removal for minified/bundled code.
+ * @param {boolean} options.aggressive - If true, use aggressive patterns (may break code).
+ * @param {string} options.match - How specifiers are matched against the package name:
+ *   'exact' (default), 'prefix', 'glob' or 'regex' (see createPackageMatcher).
+ * @param {boolean} options.withUsages - If true, also remove statements using the imported bindings.
+ * @param {string} options.stub - Expression substituted for usages that cannot be removed.
+ * @param {boolean} options.sourceMap - If true, return a source map for the output.
+ * @param {string} options.filename - Source name used in the source map.
+ * @param {object} options.inputMap - Existing map of the input, chained into the output map.
+ * @param {boolean} options.verify - If false, skip re-parsing and comparing the output's exports.
+ * @param {boolean} options.nodeCheck - If true, also run `node --check` on the output.
+ * @returns {object} `{ code, map, changed, removedCount, savedBytes, strategy, matched, usages,
+ *   embedded, kept, warnings }`, where `matched` lists each removed specifier, bundled module or
+ *   library with its `line` and `column` in the input, and `kept` the bundled modules (`path`,
+ *   `names`) left in place because the rest of the bundle still uses them.
+ * @throws {ParseError} If the code can't be parsed in normal mode.
+ * @throws {VerificationError} If the output doesn't parse or lost exports unrelated to the package.
+ * @throws {InvalidOptionError} If the stub expression or match mode is invalid.
+ */
+export function removePackageFromCode(code, packageName, options = {}) {
+  const { force = false, aggressive = false, withUsages = false, stub } = options;
+  const { sourceMap = false, filename = 'input.js' } = options;
+
+  if (stub !== undefined) parseStub(stub);
+  const matcher = createPackageMatcher(packageName, options.match);
+
+  const original = code;
+  const warnings = [];
+  const matched = [];
+  let map = null;
+  let strategy = null;
+  let removedCount = 0;
+  let usages = null;
+  let embedded = null;
+  const kept = [];
+
+  // Locations refer to the input, so record them before anything is removed
+  const record = (specifier, start) => matched.push({ specifier, ...locate(original, start) });
 
-      // Create backup before force removal
-      const backupPath = `${filePath}.backup.${Date.now()}`;
-      fs.copyFileSync(filePath, backupPath);
-      console.log(chalk.gray(`📋 Backup created: ${backupPath}`));
+  if (force) {
+    // Bundles: empty the package's entries in the module map
+    const bundled = removeBundledPackage(code, matcher.test);
+    // esbuild can label several regions with the same path; each module is reported once
+    bundled.skipped.forEach(({ module, names }) => {
+      const entry = kept.find((item) => item.path === module.path);
+      if (entry) {
+        entry.names = [...new Set([...entry.names, ...names])];
+      } else {
+        kept.push({ path: module.path, names: [...names] });
+      }
+    });
+    kept.forEach(({ path: modulePath, names }) => {
+      warnings.push(
+        names.length > 0
+          ? `Kept ${modulePath}: the bundle still uses ${names.join(', ')}`
+          : `Kept ${modulePath}: the bundle could not be parsed to check its uses`,
+      );
+    });
+    if (bundled.removedCount > 0) {
+      bundled.modules.forEach((mod) => record(mod.path || mod.package, mod.start));
+      code = bundled.code;
+      strategy = 'bundle';
+      removedCount += bundled.removedCount;
+    }
+
+    // Vendor files: cut out the library's banner and wrapper statement
+    if (!strategy && !bundled.type) {
+      const library = removeEmbeddedLibrary(code, matcher.test);
+      if (library.removedCount > 0) {
+        library.libraries.forEach((lib) => record(lib.name, lib.start));
+        code = library.code;
+        strategy = 'embedded';
+        removedCount += library.removedCount;
+        embedded = library.libraries;
+      }
+    }
 
-      // First try AST approach for force mode (more conservative)
+    // Then try AST approach for force mode (more conservative)
+    if (!strategy) {
       try {
-        const ast = parse(code, {
-          sourceType: 'unambiguous',
-          plugins: ['jsx', 'typescript', 'dynamicImport'],
+        const ast = parseSource(code, filename, {
           allowImportExportEverywhere: true,
           allowAwaitOutsideFunction: true,
           allowReturnOutsideFunction: true,
@@ -49,218 +243,321 @@ export async function removePackageFromFile(
           errorRecovery: true,
         });
 
-        // Collect nodes to remove
-        const nodesToRemove = [];
-
-        traverse(ast, {
-          enter(path) {
-            let shouldRemove = false;
-
-            // Check import declarations
-            if (path.isImportDeclaration() && path.node.source.value.includes(packageName)) {
-              shouldRemove = true;
-            }
-
-            // Check require calls
-            if (
-              path.isCallExpression() &&
-              path.node.callee.name === 'require' &&
-              path.node.arguments[0] &&
-              path.node.arguments[0].value &&
-              path.node.arguments[0].value.includes(packageName)
-            ) {
-              shouldRemove = true;
-            }
-
-            // Check variable declarations with package name
-            if (
-              path.isVariableDeclarator() &&
-              path.node.init &&
-              path.node.init.type === 'CallExpression' &&
-              path.node.init.callee.name === 'require' &&
-              path.node.init.arguments[0] &&
-              path.node.init.arguments[0].value &&
-              path.node.init.arguments[0].value.includes(packageName)
-            ) {
-              shouldRemove = true;
-            }
-
-            if (shouldRemove) {
-              nodesToRemove.push(path);
-              removed = true;
-              removedCount++;
-            }
-          },
-        });
+        const refs = findModuleReferences(ast).filter((ref) => matcher.test(ref.specifier));
+        refs.forEach((ref) => record(ref.specifier, ref.source.start));
 
-        // Remove collected nodes
-        nodesToRemove.forEach((path) => {
-          try {
-            path.remove();
-          } catch (e) {
-            // Node might already be removed
-          }
-        });
+        removedCount += removeModuleReferences(refs, { force: true }).removedCount;
+        if (removedCount > 0) strategy = 'ast';
 
-        if (removed) {
-          code = generate(ast, {
-            comments: true,
-            compact: false, // Keep readable format
-          }).code;
+        if (strategy) {
+          const output = generate(
+            ast,
+            {
+              comments: true,
+              compact: false, // Keep readable format
+              sourceMaps: sourceMap,
+              sourceFileName: filename,
+            },
+            original,
+          );
+          code = output.code;
+          map = output.map;
         }
       } catch (astError) {
-        console.warn(chalk.yellow(`⚠ AST parse failed in force mode: ${astError.message}`));
+        warnings.push(`AST parse failed in force mode: ${astError.message}`);
       }
+    }
 
-      // Conservative regex patterns for force mode (only if AST didn't work)
-      if (!removed) {
-        console.log(chalk.blue(`🔍 Using conservative regex patterns...`));
+    // Conservative regex patterns for force mode (only if AST didn't work)
+    if (!strategy) {
+      // One pass, so a require() inside a removed declaration isn't commented out twice
+      code = code.replace(IMPORT_OR_REQUIRE, (statement, ...groups) => {
+        const specifier = groups[1] ?? groups[3] ?? groups[5];
+        if (!matcher.test(specifier)) return statement;
 
-        const conservativePatterns = [
-          // Only remove specific import/require patterns, not entire lines
-          new RegExp(
-            `(import\\s+[^"']*from\\s+["'\`][^"'\`]*${escapeRegExp(packageName)}[^"'\`]*["'\`][\\s;]?)`,
-            'gi',
-          ),
-          new RegExp(
-            `((?:var|let|const)\\s+[^=]*=\\s*require\\s*\\(\\s*["'\`][^"'\`]*${escapeRegExp(packageName)}[^"'\`]*["'\`]\\s*\\)[\\s;]?)`,
-            'gi',
-          ),
-          new RegExp(
-            `(require\\s*\\(\\s*["'\`][^"'\`]*${escapeRegExp(packageName)}[^"'\`]*["'\`]\\s*\\))`,
-            'gi',
-          ),
-        ];
-
-        conservativePatterns.forEach((pattern) => {
-          const beforeLength = code.length;
-          code = code.replace(pattern, '/* removed $1 */');
-          if (code.length !== beforeLength) {
-            removed = true;
-            removedCount++;
-          }
-        });
+        record(specifier, groups[6]);
+        strategy = 'regex';
+        removedCount++;
+        return `/* removed ${statement} */`;
+      });
+    }
+
+    // Only do aggressive removal if specifically requested and conservative didn't work
+    if (!strategy && aggressive) {
+      // The name must stand on its own: `react` or `react/x`, not `react-dom` or `preact`
+      const name = matcher.source;
+      const aggressivePatterns = [
+        // Remove entire lines containing the package name
+        new RegExp(`^.*${name}.*$`, 'gmi'),
+        // Remove quoted strings containing package name
+        new RegExp(`["'\`][^"'\`]*${name}[^"'\`]*["'\`]`, 'gi'),
+        // Remove function calls with package name
+        new RegExp(`\\b\\w*\\([^)]*${name}[^)]*\\)`, 'gi'),
+        // Remove object properties with package name
+        new RegExp(`\\b\\w*\\s*:\\s*["'\`][^"'\`]*${name}[^"'\`]*["'\`]`, 'gi'),
+      ];
+
+      // Only the first pass sees the input; later ones clean up what is left of it
+      for (const found of code.matchAll(new RegExp(name, 'gi'))) {
+        record(found[0], found.index);
       }
 
-      // Only do aggressive removal if specifically requested and conservative didn't work
-      if (!removed && aggressive) {
-        console.log(chalk.red(`⚠ Using AGGRESSIVE mode - this may break your code!`));
-
-        const aggressivePatterns = [
-          // Remove entire lines containing the package name
-          new RegExp(`^.*${escapeRegExp(packageName)}.*$`, 'gmi'),
-          // Remove quoted strings containing package name
-          new RegExp(`["'\`][^"'\`]*${escapeRegExp(packageName)}[^"'\`]*["'\`]`, 'gi'),
-          // Remove function calls with package name
-          new RegExp(`\\b\\w*\\([^)]*${escapeRegExp(packageName)}[^)]*\\)`, 'gi'),
-          // Remove object properties with package name
-          new RegExp(
-            `\\b\\w*\\s*:\\s*["'\`][^"'\`]*${escapeRegExp(packageName)}[^"'\`]*["'\`]`,
-            'gi',
-          ),
-        ];
-
-        aggressivePatterns.forEach((pattern) => {
-          const beforeLength = code.length;
-          code = code.replace(pattern, '');
-          if (code.length !== beforeLength) {
-            removed = true;
-            removedCount++;
-          }
-        });
+      aggressivePatterns.forEach((pattern) => {
+        const beforeLength = code.length;
+        code = code.replace(pattern, '');
+        if (code.length !== beforeLength) {
+          strategy = 'aggressive';
+          removedCount++;
+        }
+      });
 
-        // Clean up empty lines and excess whitespace
+      // Clean up empty lines and excess whitespace
+      if (strategy) {
         code = code
           .replace(/\n\s*\n\s*\n/g, '\n\n') // Remove multiple empty lines
           .replace(/^\s*\n/gm, '') // Remove empty lines at start
           .replace(/\s+$/gm, ''); // Remove trailing whitespace
-      } else if (!removed) {
-        console.log(
-          chalk.yellow(
-            `⚠ Conservative removal found nothing. Use --aggressive for more thorough removal.`,
-          ),
-        );
-        console.log(chalk.gray(`💡 Tip: The package might be deeply embedded in minified code.`));
+      }
+    }
+  } else {
+    // Normal AST mode
+    let ast;
+    try {
+      ast = parseSource(code, filename, {
+        allowImportExportEverywhere: true,
+        allowAwaitOutsideFunction: true,
+        allowReturnOutsideFunction: true,
+        allowUndeclaredExports: true,
+      });
+    } catch (parseError) {
+      throw toParseError(parseError, options.filename);
+    }
 
-        // Restore from backup since we didn't find anything
-        fs.copyFileSync(backupPath, filePath);
-        fs.unlinkSync(backupPath);
-        return false;
-      } else {
-        // Clean up backup if successful
-        fs.unlinkSync(backupPath);
+    const refs = findModuleReferences(ast).filter((ref) => matcher.test(ref.specifier));
+    refs.forEach((ref) => record(ref.specifier, ref.source.start));
+
+    const removal = removeModuleReferences(refs, { collectUsages: withUsages });
+    removedCount += removal.removedCount;
+
+    if (removedCount > 0) {
+      strategy = 'import';
+
+      if (withUsages) {
+        usages = removeUsages(removal.referencePaths, original, stub);
+        removedCount += usages.removed + usages.stubbed;
       }
-    } else {
-      // Normal AST mode
-      try {
-        const ast = parse(code, {
-          sourceType: 'unambiguous',
-          plugins: ['jsx', 'typescript', 'dynamicImport'],
-          allowImportExportEverywhere: true,
-          allowAwaitOutsideFunction: true,
-          allowReturnOutsideFunction: true,
-          allowUndeclaredExports: true,
-        });
 
-        traverse(ast, {
-          ImportDeclaration(path) {
-            if (path.node.source.value === packageName) {
-              path.remove();
-              removed = true;
-              removedCount++;
-            }
-          },
-          CallExpression(path) {
-            if (
-              path.node.callee.name === 'require' &&
-              path.node.arguments.length > 0 &&
-              path.node.arguments[0].value === packageName
-            ) {
-              // Try to remove the entire statement
-              const statement = path.getStatementParent();
-              if (statement) {
-                statement.remove();
-              } else {
-                path.remove();
-              }
-              removed = true;
-              removedCount++;
-            }
-          },
-        });
+      const output = generate(
+        ast,
+        { comments: true, sourceMaps: sourceMap, sourceFileName: filename },
+        original,
+      );
+      code = output.code;
+      map = output.map;
+    }
+  }
 
-        if (removed) {
-          code = generate(ast, { comments: true }).code;
-        }
-      } catch (parseError) {
-        throw new Error(`Failed to parse JavaScript: ${parseError.message}`);
+  if (!strategy) {
+    return {
+      code: original,
+      map: null,
+      changed: false,
+      removedCount: 0,
+      savedBytes: 0,
+      strategy,
+      matched: [],
+      usages,
+      embedded,
+      kept,
+      warnings,
+    };
+  }
+
+  if (options.verify !== false) {
+    const verified = assertVerified(original, code, {
+      filename,
+      removedPackage: matcher.test,
+      nodeCheck: options.nodeCheck,
+    });
+    if (!verified) warnings.push('Output not verified: the input could not be parsed');
+  }
+
+  // Regex and module-map passes don't produce a map, so derive one from the output
+  if (sourceMap) {
+    map = chainMaps(map || createAlignmentMap(original, code, filename), options.inputMap);
+  }
+
+  return {
+    code,
+    map: sourceMap ? map : null,
+    changed: true,
+    removedCount,
+    savedBytes: original.length - code.length,
+    strategy,
+    matched,
+    usages,
+    embedded,
+    kept,
+    warnings,
+  };
+}
+
+/**
+ * Remove the code that loads each module reference: import and export declarations whole,
+ * the statement around a `require()`, `import()` or `resolve()` call, and an AMD dependency
+ * together with the factory parameter it is passed as.
+ * @param {object[]} refs - References from findModuleReferences.
+ * @param {object} options - Removal options.
+ * @param {boolean} options.force - If true, remove only the call (or its declarator) instead of
+ *   the whole statement, as force mode always has.
+ * @param {boolean} options.collectUsages - If true, collect references to the removed bindings.
+ * @returns {object} `{ removedCount, referencePaths }`.
+ */
+function removeModuleReferences(refs, options = {}) {
+  // Reference paths must be collected before the declarations are removed from scope
+  const referencePaths = [];
+  let removedCount = 0;
+
+  const collect = (path) => {
+    if (options.collectUsages) referencePaths.push(...collectReferencePaths(path));
+  };
+
+  refs.forEach((ref) => {
+    const loader = ref.dependency || ref.path;
+    // Gone together with an earlier reference in the same statement
+    if (loader.find((path) => path.removed)) return;
+
+    if (ref.kind === 'amd') {
+      if (ref.param) {
+        collect(ref.param);
+        ref.param.remove();
       }
+      ref.dependency.remove();
+    } else if (loader.isStatement() || options.force) {
+      const declarator =
+        loader.parentPath.isVariableDeclarator() && loader.parent.init === loader.node;
+      const target = declarator ? loader.parentPath : loader;
+      collect(target);
+      try {
+        target.remove();
+      } catch (e) {
+        // Some positions (`await import(...)`) can't be left empty; take the statement instead
+        const statement = target.getStatementParent();
+        if (!statement || statement === target) return;
+        statement.remove();
+      }
+    } else {
+      // Try to remove the entire statement
+      const statement = loader.getStatementParent();
+      collect(statement || loader);
+      (statement || loader).remove();
     }
+    removedCount++;
+  });
+
+  return { removedCount, referencePaths };
+}
+
+/**
+ * Collect every reference to the bindings declared by a statement.
+ * @param {NodePath} statement - Import or variable declaration.
+ * @returns {NodePath[]} Reference paths.
+ */
+function collectReferencePaths(statement) {
+  return Object.keys(statement.getBindingIdentifiers()).flatMap((name) => {
+    const binding = statement.scope.getBinding(name);
+    return binding ? binding.referencePaths : [];
+  });
+}
+
+/**
+ * Remove the expression statements that use removed bindings, or replace the
+ * remaining references with a stub expression.
+ * @param {NodePath[]} referencePaths - References to removed bindings.
+ * @param {string} source - Original source, used for report snippets.
+ * @param {string} stub - Optional replacement expression.
+ * @returns {object} Counts of removed and stubbed usages plus the unresolved ones.
+ */
+function removeUsages(referencePaths, source, stub) {
+  const report = { removed: 0, stubbed: 0, unresolved: [] };
+
+  referencePaths.forEach((ref) => {
+    // Already gone together with an earlier statement
+    if (ref.find((path) => path.removed)) return;
+
+    const statement = ref.getStatementParent();
+    const loc = ref.node.loc ? ref.node.loc.start : { line: null, column: 0 };
+
+    try {
+      if (statement && statement.isExpressionStatement()) {
+        statement.remove();
+        report.removed++;
+        return;
+      }
 
-    if (!removed) {
-      console.log(chalk.yellow(`⚠ Package '${packageName}' not found in ${filePath}`));
-      return false;
+      if (stub !== undefined && ref.isIdentifier() && !ref.parentPath.isExportSpecifier()) {
+        ref.replaceWith(parseStub(stub));
+        report.stubbed++;
+        return;
+      }
+    } catch (e) {
+      // Fall through and report it as unresolved
     }
 
-    // Write the modified code back
-    fs.writeFileSync(filePath, code, 'utf8');
+    const snippet = statement
+      ? source.slice(statement.node.start, statement.node.end)
+      : source.slice(ref.node.start, ref.node.end);
 
-    const newSize = code.length;
-    const savedBytes = originalSize - newSize;
-    const savedKB = (savedBytes / 1024).toFixed(2);
+    report.unresolved.push({
+      name: ref.node.name,
+      line: loc.line,
+      column: loc.column + 1,
+      code: snippet.replace(/\s+/g, ' ').slice(0, 80),
+    });
+  });
 
-    console.log(
-      chalk.green(`✔ Removed ${removedCount} reference(s) to '${packageName}' from ${filePath}`),
-    );
-    console.log(chalk.blue(`💾 Saved ${savedKB} KB (${savedBytes} bytes)`));
+  return report;
+}
 
-    return true;
-  } catch (err) {
-    console.error(chalk.red(`✖ Failed to remove package: ${err.message}`));
-    return false;
+function parseStub(stub) {
+  try {
+    return parseExpression(stub);
+  } catch (e) {
+    throw new InvalidOptionError(`Invalid stub expression '${stub}': ${e.message}`, { cause: e });
   }
 }
 
-function escapeRegExp(string) {
-  return string.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+function printUsageReport(usages, filePath, stub) {
+  if (usages.removed > 0) {
+    log.info(chalk.blue(`🧹 Removed ${usages.removed} statement(s) using the package`));
+  }
+  if (usages.stubbed > 0) {
+    log.info(chalk.blue(`🔁 Replaced ${usages.stubbed} usage(s) with a stub`));
+  }
+  if (usages.unresolved.length > 0) {
+    log.warn(chalk.yellow(`⚠ ${usages.unresolved.length} usage(s) could not be removed safely:`));
+    usages.unresolved.forEach((usage) => {
+      log.warn(
+        ' -',
+        chalk.gray(`${filePath}:${usage.line}:${usage.column}`),
+        chalk.red(usage.name),
+        chalk.gray(usage.code),
+      );
+    });
+    if (stub === undefined) {
+      log.warn(chalk.gray(`💡 Tip: Use --stub <expression> to replace the remaining usages.`));
+    }
+  }
+}
+
+function printMatchReport(matched, filePath) {
+  log.info(chalk.blue(`🎯 Matched ${matched.length} reference(s):`));
+  matched.forEach((match) => {
+    log.info(' -', chalk.gray(`${filePath}:${match.line}:${match.column}`), match.specifier);
+  });
+}
+
+function locate(code, offset) {
+  const before = code.slice(0, offset).split('\n');
+  return { line: before.length, column: before[before.length - 1].length + 1 };
 }
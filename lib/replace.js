@@ -0,0 +1,520 @@
+import fs from 'fs';
+import path from 'path';
+import chalk from 'chalk';
+import generatorModule from '@babel/generator';
+import traverseModule from '@babel/traverse';
+import { printDiff } from './diff.js';
+import { parseSource, findModuleReferences } from './specifiers.js';
+import { readSource, writeOutput, getPackageName, toIdentifier } from './utils.js';
+import { FileNotFoundError, InvalidOptionError, toParseError } from './errors.js';
+import { assertVerified, printVerificationIssues } from './verify.js';
+import { stripSourceMappingURL, readInputMap, createAlignmentMap, chainMaps } from './sourcemap.js';
+import { log } from './logger.js';
+
+const generate = generatorModule.default;
+const traverse = traverseModule.default;
+
+const STYLES = ['default', 'namespace'];
+
+/**
+ * Replace a package with another in a file, printing progress and writing the result.
+ * @param {string} filePath - Path to file.
+ * @param {string} from - Package to replace, e.g. `moment`.
+ * @param {string} to - Package to use instead, e.g. `dayjs`.
+ * @param {object} options - Replace options (see replacePackageInCode), plus:
+ * @param {boolean} options.dryRun - If true, report what would change without writing.
+ * @param {boolean} options.diff - If true, print a unified diff of the change (implies dryRun).
+ * @param {object} options.backup - Backup session the original contents are saved to before writing.
+ * @returns {Promise<object>} Result with `changed`, `replacedCount` and `unresolved`, or `error`
+ *   and `errorCode` on failure.
+ */
+export async function replacePackageInFile(filePath, from, to, options = {}) {
+  const { diff = false } = options;
+  const dryRun = options.dryRun || diff;
+
+  try {
+    const originalCode = readSource(filePath);
+    const input = options.sourceMap ? stripSourceMappingURL(originalCode) : { code: originalCode };
+
+    const result = replacePackageInCode(input.code, from, to, {
+      ...options,
+      filename: path.basename(filePath),
+      inputMap: options.sourceMap ? readInputMap(filePath, input.url) : null,
+    });
+
+    if (!result.changed) {
+      log.warn(chalk.yellow(`⚠ Package '${from}' not found in ${filePath}`));
+      return { file: filePath, changed: false, replacedCount: 0, savedBytes: 0, unresolved: [] };
+    }
+
+    const { replacedCount, remappedCount, unresolved, savedBytes } = result;
+    const summary = `${replacedCount} import(s) of '${from}' with '${to}'`;
+    const remapped = remappedCount > 0 ? ` and remapped ${remappedCount} name(s)` : '';
+
+    if (diff) printDiff(filePath, originalCode, result.code);
+    printUnresolved(unresolved, filePath);
+
+    if (dryRun) {
+      log.info(chalk.cyan(`🔍 Would replace ${summary}${remapped} in ${filePath}`));
+      return { file: filePath, changed: true, dryRun: true, replacedCount, savedBytes, unresolved };
+    }
+
+    writeOutput(filePath, result.code, result.map, options.backup);
+    log.info(chalk.green(`✔ Replaced ${summary}${remapped} in ${filePath}`));
+
+    return { file: filePath, changed: true, replacedCount, savedBytes, unresolved };
+  } catch (err) {
+    log.error(chalk.red(`✖ Failed to replace package: ${err.message}`));
+    log.debug(err.stack);
+    printVerificationIssues(err, filePath);
+    return {
+      file: filePath,
+      changed: false,
+      replacedCount: 0,
+      savedBytes: 0,
+      error: err.message,
+      errorCode: err.code,
+    };
+  }
+}
+
+/**
+ * Replace a package with another in source code without touching the file system or the
+ * console. Every specifier findModuleReferences finds is rewritten, subpaths too (`lodash/map`
+ * → `lodash-es/map`): imports, re-exports, `require()` and its aliases, `import x = require()`,
+ * `import()`, resolve calls, AMD dependencies and template literals. Named imports and members
+ * of the package's binding are renamed through the mapping, and default imports become
+ * namespace imports or back when the target uses the other style. Only the changed nodes are
+ * printed again; the rest of the source is kept as it was.
+ * @param {string} code - Source code.
+ * @param {string} from - Package to replace.
+ * @param {string} to - Package to use instead.
+ * @param {object} options - Replace options.
+ * @param {object} options.mapping - Mapping (see loadMapping): `exports`, `style` and `specifiers`.
+ * @param {string} options.style - Import style of the target: 'default' or 'namespace' (default:
+ *   the mapping's, or keep each import's style).
+ * @param {boolean} options.rename - If false, keep local names such as `moment` instead of
+ *   renaming them after the new package.
+ * @param {boolean} options.sourceMap - If true, return a source map for the output.
+ * @param {string} options.filename - Source name used in the source map.
+ * @param {object} options.inputMap - Existing map of the input, chained into the output map.
+ * @param {boolean} options.verify - If false, skip re-parsing and comparing the output's exports.
+ * @param {boolean} options.nodeCheck - If true, also run `node --check` on the output.
+ * @returns {object} `{ code, map, changed, replacedCount, remappedCount, unresolved, savedBytes }`,
+ *   where `unresolved` lists the usages that couldn't be mapped, with `name`, `line`, `column`,
+ *   `code` and `reason`.
+ * @throws {ParseError} If the code can't be parsed.
+ * @throws {InvalidOptionError} If the style or mapping is invalid.
+ * @throws {VerificationError} If the output doesn't parse or lost exports.
+ */
+export function replacePackageInCode(code, from, to, options = {}) {
+  const { rename = true, sourceMap = false, filename = 'input.js' } = options;
+  const mapping = normalizeMapping(options.mapping || {});
+  const style = options.style || mapping.style || null;
+
+  if (!getPackageName(from) || !getPackageName(to)) {
+    throw new InvalidOptionError(`Expected two package names, got '${from}' and '${to}'`);
+  }
+  if (style && !STYLES.includes(style)) {
+    throw new InvalidOptionError(`Unknown style '${style}' (expected ${STYLES.join(', ')})`);
+  }
+
+  let ast;
+  try {
+    ast = parseSource(code, filename, {
+      allowImportExportEverywhere: true,
+      allowAwaitOutsideFunction: true,
+      allowReturnOutsideFunction: true,
+      allowUndeclaredExports: true,
+    });
+  } catch (parseError) {
+    throw toParseError(parseError, options.filename);
+  }
+
+  const report = { replaced: 0, remapped: 0, unresolved: [] };
+  const bindings = []; // { path, name, style } for the package's default/namespace bindings
+  const edits = { touched: new Set(), appended: new Map() }; // nodes to print again
+  const touch = (node) => edits.touched.add(node);
+
+  const unresolved = (node, name, reason) => {
+    const loc = node.loc ? node.loc.start : { line: null, column: 0 };
+    report.unresolved.push({
+      name,
+      line: loc.line,
+      column: loc.column + 1,
+      code: code.slice(node.start, node.end).replace(/\s+/g, ' ').slice(0, 80),
+      reason,
+    });
+  };
+
+  // Mapped name for an export of the old package; undefined means "leave it alone"
+  const mapName = (name, node) => {
+    if (!mapping.exports) return name;
+    // Own keys only: `toString` or `constructor` must not resolve through the prototype
+    const mapped = Object.hasOwn(mapping.exports, name) ? mapping.exports[name] : undefined;
+    if (mapped === undefined) {
+      unresolved(node, name, 'not in the mapping');
+      return undefined;
+    }
+    if (mapped === null) {
+      unresolved(node, name, `no equivalent in '${to}'`);
+      return undefined;
+    }
+    if (mapped !== name) report.remapped++;
+    return mapped;
+  };
+
+  // `moment` → `dayjs`, `moment/locale/fr` → `dayjs/locale/fr`; null for other specifiers
+  const rewrite = (specifier) => {
+    if (Object.hasOwn(mapping.specifiers, specifier)) return mapping.specifiers[specifier];
+    if (specifier === from) return to;
+    if (specifier.startsWith(`${from}/`)) return to + specifier.slice(from.length);
+    return null;
+  };
+  const rewriteSource = (source, specifier) => {
+    const target = rewrite(specifier);
+    if (!target) return false;
+
+    if (source.type === 'TemplateLiteral') {
+      // `moment/locale/${lang}`: only the text before the first placeholder names the package
+      const [head] = source.quasis;
+      const rest = source.quasis.length === 1 ? '' : head.value.raw.slice(from.length);
+      const raw = source.quasis.length === 1 ? target : to + rest;
+      head.value = { raw, cooked: raw };
+    } else {
+      // Keep the quote style of the original specifier
+      const quote = source.extra && source.extra.raw ? source.extra.raw[0] : "'";
+      source.value = target;
+      source.extra = { rawValue: target, raw: `${quote}${target}${quote}` };
+    }
+    touch(source);
+    report.replaced++;
+    return true;
+  };
+
+  // The same references `kz analyze` and `kz remove` see; only the package root's own
+  // bindings have export names to map
+  findModuleReferences(ast).forEach(({ specifier, kind, path, source, param }) => {
+    if (!rewriteSource(source, specifier) || specifier !== from) return;
+
+    if (path.isImportDeclaration()) {
+      convertImport(path, { style, mapName, bindings, touch, edits });
+    } else if (path.isExportNamedDeclaration()) {
+      path.node.specifiers
+        .filter((item) => item.type === 'ExportSpecifier')
+        .forEach((item) => {
+          const name = item.local.name || item.local.value;
+          const mapped = mapName(name, item);
+          if (mapped && mapped !== name) {
+            item.local = identifier(mapped);
+            touch(item);
+          }
+        });
+    } else if (path.isTSImportEqualsDeclaration()) {
+      bindings.push({ path, name: path.node.id.name, style: 'default' });
+    } else if (kind === 'amd') {
+      if (param && param.isIdentifier()) {
+        bindings.push({ path: param, name: param.node.name, style: 'default' });
+      }
+    } else if (kind === 'cjs') {
+      mapRequire(path, { mapName, unresolved, bindings, touch });
+    }
+  });
+
+  // Members of the package's default/namespace bindings: `moment.utc()` → `dayjs.utc()`
+  bindings.forEach(({ path, name, style: bindingStyle }) => {
+    const binding = path.scope.getBinding(name);
+    if (!binding) return;
+
+    binding.referencePaths.forEach((ref) => {
+      const parent = ref.parentPath;
+      if (parent.isMemberExpression({ object: ref.node })) {
+        const { property, computed } = parent.node;
+        if (computed && property.type !== 'StringLiteral') {
+          unresolved(parent.node, name, 'computed member');
+          return;
+        }
+
+        const member = computed ? property.value : property.name;
+        const mapped = mapName(member, parent.node);
+        if (mapped && mapped !== member) {
+          parent.node.property = computed
+            ? { type: 'StringLiteral', value: mapped }
+            : identifier(mapped);
+          touch(parent.node);
+        }
+      } else if (
+        bindingStyle === 'namespace' &&
+        (parent.isCallExpression({ callee: ref.node }) ||
+          parent.isNewExpression({ callee: ref.node }))
+      ) {
+        unresolved(parent.node, name, 'a namespace import cannot be called');
+      }
+    });
+
+    // `moment` reads better as `dayjs` now, unless that name is taken where the binding is
+    // declared or used, or the code already mentions it anywhere (a global, a nested local).
+    // Exported bindings keep their name, which is part of the module's API
+    const target = toIdentifier(to);
+    const taken =
+      path.scope.hasBinding(target) ||
+      path.scope.hasReference(target) ||
+      Boolean(binding.path.findParent((parent) => parent.isExportDeclaration())) ||
+      [...binding.referencePaths, ...binding.constantViolations].some((ref) =>
+        ref.scope.hasBinding(target),
+      );
+    if (rename && name === toIdentifier(from) && target !== name && !taken) {
+      path.scope.rename(name, target);
+    }
+  });
+
+  if (report.replaced === 0) {
+    return {
+      code,
+      map: null,
+      changed: false,
+      replacedCount: 0,
+      remappedCount: 0,
+      unresolved: [],
+      savedBytes: 0,
+    };
+  }
+
+  touchRenamed(ast, touch);
+  const output = applyEdits(code, edits);
+
+  if (options.verify !== false) {
+    assertVerified(code, output, {
+      filename,
+      removedPackage: from,
+      nodeCheck: options.nodeCheck,
+    });
+  }
+
+  return {
+    code: output,
+    map: sourceMap ? chainMaps(createAlignmentMap(code, output, filename), options.inputMap) : null,
+    changed: output !== code,
+    replacedCount: report.replaced,
+    remappedCount: report.remapped,
+    unresolved: report.unresolved,
+    savedBytes: code.length - output.length,
+  };
+}
+
+/**
+ * Read a mapping file for replacePackageInCode.
+ *
+ *     {
+ *       "style": "namespace",
+ *       "exports": { "format": "format", "cloneDeep": "cloneDeep", "chain": null },
+ *       "specifiers": { "moment/locale/fr": "dayjs/locale/fr" }
+ *     }
+ *
+ * `exports` maps each export of the old package to the new one's name for it (`"default"` for
+ * its default export, null when it has none); once given, every name used must be listed.
+ * @param {string} file - Path to a JSON mapping file.
+ * @returns {object} The mapping.
+ * @throws {FileNotFoundError} If the file doesn't exist.
+ * @throws {InvalidOptionError} If it isn't a valid mapping.
+ */
+export function loadMapping(file) {
+  if (!fs.existsSync(file)) throw new FileNotFoundError(file);
+
+  let mapping;
+  try {
+    mapping = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (err) {
+    throw new InvalidOptionError(`Invalid mapping file ${file}: ${err.message}`, { cause: err });
+  }
+  return normalizeMapping(mapping, file);
+}
+
+function normalizeMapping(mapping, file = 'mapping') {
+  const fail = (message) => {
+    throw new InvalidOptionError(`Invalid ${file}: ${message}`);
+  };
+  if (!mapping || typeof mapping !== 'object' || Array.isArray(mapping)) fail('expected an object');
+
+  const { exports = null, specifiers = {}, style = null } = mapping;
+  if (exports !== null && (typeof exports !== 'object' || Array.isArray(exports))) {
+    fail('`exports` must map names to names');
+  }
+  Object.entries(exports || {}).forEach(([name, mapped]) => {
+    if (mapped !== null && typeof mapped !== 'string')
+      fail(`\`exports.${name}\` must be a name or null`);
+  });
+  if (!specifiers || typeof specifiers !== 'object' || Array.isArray(specifiers)) {
+    fail('`specifiers` must map specifiers to specifiers');
+  }
+  Object.entries(specifiers).forEach(([specifier, mapped]) => {
+    if (typeof mapped !== 'string' || !mapped) {
+      fail(`\`specifiers.${specifier}\` must be a specifier`);
+    }
+  });
+  if (style !== null && !STYLES.includes(style)) fail(`\`style\` must be ${STYLES.join(' or ')}`);
+
+  return { exports, specifiers, style };
+}
+
+// `import moment from 'moment'` ⇄ `import * as moment from 'moment'`, and named imports
+// renamed through the mapping; a namespace can't share a declaration with named imports
+function convertImport(path, { style, mapName, bindings, touch, edits }) {
+  const { node } = path;
+  const kept = [];
+  const extra = [];
+
+  node.specifiers.forEach((specifier) => {
+    if (specifier.type === 'ImportSpecifier') {
+      const name = specifier.imported.name || specifier.imported.value;
+      const mapped = mapName(name, specifier);
+      if (mapped === 'default') {
+        extra.push({ type: 'ImportDefaultSpecifier', local: specifier.local });
+      } else {
+        if (mapped && mapped !== name) {
+          specifier.imported = identifier(mapped);
+          touch(specifier);
+        }
+        kept.push(specifier);
+      }
+      return;
+    }
+
+    const current = specifier.type === 'ImportDefaultSpecifier' ? 'default' : 'namespace';
+    const wanted = style || current;
+    bindings.push({ path, name: specifier.local.name, style: wanted });
+    if (wanted === current) {
+      kept.push(specifier);
+    } else {
+      const type = wanted === 'namespace' ? 'ImportNamespaceSpecifier' : 'ImportDefaultSpecifier';
+      extra.push({ type, local: specifier.local });
+    }
+  });
+
+  // Default first, then either a namespace or named imports in the same declaration
+  const defaults = [...kept, ...extra].filter((item) => item.type === 'ImportDefaultSpecifier');
+  const namespaces = [...kept, ...extra].filter((item) => item.type === 'ImportNamespaceSpecifier');
+  const named = kept.filter((item) => item.type === 'ImportSpecifier');
+
+  const declarations = [];
+  const first = [...defaults.slice(0, 1), ...(named.length ? named : namespaces.slice(0, 1))];
+  declarations.push(first);
+  defaults.slice(1).forEach((item) => declarations.push([item]));
+  (named.length ? namespaces : namespaces.slice(1)).forEach((item) => declarations.push([item]));
+
+  if (extra.length === 0) return;
+  node.specifiers = declarations[0];
+  touch(node);
+  if (declarations.length > 1) {
+    edits.appended.set(
+      node,
+      declarations.slice(1).map((specifiers) => ({
+        type: 'ImportDeclaration',
+        specifiers,
+        source: node.source,
+      })),
+    );
+  }
+}
+
+// `const moment = require('moment')`, `const { map } = require('lodash')`, `require('lodash').map`
+function mapRequire(path, { mapName, unresolved, bindings, touch }) {
+  const parent = path.parentPath;
+
+  if (parent.isVariableDeclarator({ init: path.node })) {
+    const { id } = parent.node;
+    if (id.type === 'Identifier') {
+      bindings.push({ path: parent, name: id.name, style: 'default' });
+    } else if (id.type === 'ObjectPattern') {
+      id.properties.forEach((property) => {
+        if (property.type !== 'ObjectProperty' || property.computed) {
+          if (property.type !== 'RestElement') unresolved(property, '?', 'computed member');
+          return;
+        }
+        const name = property.key.name || property.key.value;
+        const mapped = mapName(name, property);
+        if (mapped && mapped !== name) {
+          property.key = identifier(mapped);
+          property.shorthand = false;
+          touch(property);
+        }
+      });
+    }
+  } else if (parent.isMemberExpression({ object: path.node }) && !parent.node.computed) {
+    const name = parent.node.property.name;
+    const mapped = mapName(name, parent.node);
+    if (mapped && mapped !== name) {
+      parent.node.property = identifier(mapped);
+      touch(parent.node);
+    }
+  }
+}
+
+// Identifiers scope.rename changed; a shorthand property or export specifier is printed again
+// whole, so `{ moment }` becomes `{ moment: dayjs }` rather than `{ dayjs }`
+function touchRenamed(ast, touch) {
+  traverse(ast, {
+    noScope: true,
+    Identifier({ node, parent }) {
+      if (!node.loc || !node.loc.identifierName || node.loc.identifierName === node.name) return;
+      // A shorthand property's key and value share the same text
+      const shorthand = parent.type === 'ObjectProperty' && parent.key.start === parent.value.start;
+      touch(shorthand || parent.type === 'ExportSpecifier' ? parent : node);
+    },
+  });
+}
+
+// Print the touched nodes again over their original text; a node inside another touched one
+// comes along with it
+function applyEdits(code, { touched, appended }) {
+  const nodes = [...touched]
+    .filter((node) => typeof node.start === 'number')
+    .sort((a, b) => a.start - b.start || b.end - a.end);
+
+  let output = '';
+  let last = 0;
+  nodes.forEach((node) => {
+    if (node.start < last) return;
+
+    const original = code.slice(node.start, node.end);
+    let text = print(node, original);
+    if (appended.has(node)) {
+      const indent = code.slice(code.lastIndexOf('\n', node.start) + 1, node.start);
+      const lead = /^\s*$/.test(indent) ? indent : '';
+      text += appended
+        .get(node)
+        .map((extra) => `\n${lead}${print(extra, original)}`)
+        .join('');
+    }
+
+    output += code.slice(last, node.start) + text;
+    last = node.end;
+  });
+
+  return output + code.slice(last);
+}
+
+// Statements keep the original's choice of semicolons
+function print(node, original) {
+  const text = generate(node, { comments: false }).code;
+  return text.endsWith(';') && !original.trimEnd().endsWith(';') ? text.slice(0, -1) : text;
+}
+
+function identifier(name) {
+  return { type: 'Identifier', name };
+}
+
+function printUnresolved(unresolved, filePath) {
+  if (unresolved.length === 0) return;
+
+  log.warn(chalk.yellow(`⚠ ${unresolved.length} usage(s) could not be mapped:`));
+  unresolved.forEach((usage) => {
+    log.warn(
+      ' -',
+      chalk.gray(`${filePath}:${usage.line}:${usage.column}`),
+      chalk.red(usage.name),
+      chalk.gray(`${usage.code} (${usage.reason})`),
+    );
+  });
+  log.warn(chalk.gray(`💡 Tip: Add the missing names to the mapping file (--mapping).`));
+}
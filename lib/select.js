@@ -0,0 +1,51 @@
+import fs from 'fs';
+import path from 'path';
+import { FileNotFoundError, InvalidOptionError } from './errors.js';
+import { globToRegExp } from './match.js';
+
+/**
+ * Pick the packages to bundle from a package.json (its `dependencies`) or an npm lockfile
+ * (the project's direct, non-dev dependencies).
+ * @param {string} file - package.json, package-lock.json or npm-shrinkwrap.json.
+ * @param {object} options - Selection options.
+ * @param {string[]} options.include - Name patterns to keep, e.g. `@fortawesome/*` (default: all).
+ * @param {string[]} options.exclude - Name patterns to drop.
+ * @returns {string[]} Package names, sorted.
+ * @throws {FileNotFoundError} If the file doesn't exist.
+ * @throws {InvalidOptionError} If the file isn't a package.json or npm lockfile.
+ */
+export function selectPackages(file, options = {}) {
+  if (!fs.existsSync(file)) throw new FileNotFoundError(file);
+
+  let data;
+  try {
+    data = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch {
+    throw new InvalidOptionError(`Cannot read ${file}: expected package.json or package-lock.json`);
+  }
+
+  // `*` matches any run of characters, so `@scope/*` or `lodash.*` select families of packages
+  const include = (options.include || []).map(globToRegExp);
+  const exclude = (options.exclude || []).map(globToRegExp);
+
+  return readDependencies(data, file)
+    .filter((name) => include.length === 0 || include.some((pattern) => pattern.test(name)))
+    .filter((name) => !exclude.some((pattern) => pattern.test(name)))
+    .sort();
+}
+
+function readDependencies(data, file) {
+  const name = path.basename(file);
+
+  if (name === 'package-lock.json' || name === 'npm-shrinkwrap.json') {
+    // v2/v3 list the root's dependencies; v1 marks development-only entries with `dev`
+    if (data.packages && data.packages['']) {
+      return Object.keys(data.packages[''].dependencies || {});
+    }
+    return Object.entries(data.dependencies || {})
+      .filter(([, entry]) => !entry.dev)
+      .map(([dependency]) => dependency);
+  }
+
+  return Object.keys(data.dependencies || {});
+}
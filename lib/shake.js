@@ -0,0 +1,519 @@
+import fs from 'fs';
+import path from 'path';
+import esbuild from 'esbuild';
+import chalk from 'chalk';
+import { parse } from '@babel/parser';
+import traverseModule from '@babel/traverse';
+import { printDiff } from './diff.js';
+import { parseSource, findModuleReferences } from './specifiers.js';
+import { readSource, writeOutput, resolveFiles, getPackageName } from './utils.js';
+import { InvalidOptionError, ParseError, TransformError } from './errors.js';
+import { log } from './logger.js';
+
+const traverse = traverseModule.default;
+
+const INPUT = 'kz-shake-input';
+const LOADERS = { '.ts': 'ts', '.mts': 'ts', '.cts': 'ts', '.tsx': 'tsx', '.jsx': 'jsx' };
+const RESOLVE_EXTENSIONS = ['', '.js', '.mjs', '.cjs', '.jsx', '.ts', '.tsx', '/index.js'];
+const IDENTIFIER = /^[A-Za-z_$][\w$]*$/;
+
+// Longest list of dropped exports printed; the rest are summed up
+const REPORT_LIMIT = 20;
+
+/**
+ * Drop the unused exports of an ES module, printing what was dropped and writing the result.
+ * @param {string} filePath - Path to the module.
+ * @param {object} options - Shake options.
+ * @param {string[]} options.keep - Exports to keep.
+ * @param {string|string[]} options.usedBy - Sources whose imports of the module decide what
+ *   to keep (added to `keep`).
+ * @param {string[]} options.ignore - Extra glob patterns to exclude from `usedBy`.
+ * @param {boolean} options.minify - If true, minify the output.
+ * @param {boolean} options.dryRun - If true, report what would be dropped without writing.
+ * @param {boolean} options.diff - If true, print a unified diff of the change (implies dryRun).
+ * @param {object} options.backup - Backup session the original contents are saved to before writing.
+ * @returns {Promise<object>} Result with `changed`, `savedBytes`, `kept` and `removed`, or `error`
+ *   and `errorCode` on failure.
+ */
+export async function shakeFile(filePath, options = {}) {
+  const { diff = false } = options;
+  const dryRun = options.dryRun || diff;
+
+  try {
+    const originalCode = readSource(filePath);
+    let keep = options.keep || [];
+
+    if (options.usedBy && options.usedBy.length > 0) {
+      const used = await findUsedExports(filePath, options.usedBy, { ignore: options.ignore });
+      const count = used.all ? '' : chalk.gray(` (${used.names.length} export(s) used)`);
+      log.info(chalk.blue(`🔍 ${used.files.length} file(s) import ${filePath}`) + count);
+      if (used.all) {
+        used.reasons.forEach((reason) => log.warn(chalk.yellow(`⚠ ${reason}`)));
+        log.info(chalk.gray('💡 Nothing to drop while the whole module is in use.'));
+        return { file: filePath, changed: false, savedBytes: 0, kept: [], removed: [] };
+      }
+      keep = [...new Set([...keep, ...used.names])];
+    }
+
+    log.info(chalk.blue(`🌳 Shaking ${filePath}...`));
+    const result = await shakeCode(originalCode, {
+      keep,
+      minify: options.minify,
+      filename: filePath,
+    });
+
+    if (result.unknown.length > 0) {
+      log.warn(chalk.yellow(`⚠ Not exported by ${filePath}: ${result.unknown.join(', ')}`));
+    }
+    log.info(
+      chalk.blue(`📦 Keeping ${result.kept.length} of ${result.exports.length} export(s)`),
+      chalk.gray(result.kept.join(', ')),
+    );
+    printRemoved(result.removed);
+
+    const { savedBytes, removed, kept } = result;
+    const savedKB = (savedBytes / 1024).toFixed(2);
+
+    if (diff) printDiff(filePath, originalCode, result.code);
+
+    if (dryRun) {
+      log.info(chalk.cyan(`🔍 Would drop ${removed.length} export(s) from ${filePath}`));
+      log.info(chalk.blue(`💾 Would save ${savedKB} KB (${savedBytes} bytes)`));
+      return { file: filePath, changed: result.changed, dryRun: true, savedBytes, kept, removed };
+    }
+
+    if (result.changed) writeOutput(filePath, result.code, null, options.backup);
+
+    log.info(chalk.green(`✔ Dropped ${removed.length} export(s) from ${filePath}`));
+    log.info(chalk.blue(`💾 Saved ${savedKB} KB (${savedBytes} bytes)`));
+
+    return { file: filePath, changed: result.changed, savedBytes, kept, removed };
+  } catch (err) {
+    log.error(chalk.red(`✖ Failed to shake file: ${err.message}`));
+    log.debug(err.stack);
+    return {
+      file: filePath,
+      changed: false,
+      savedBytes: 0,
+      error: err.message,
+      errorCode: err.code,
+    };
+  }
+}
+
+/**
+ * Drop the unused exports of an ES module, and any code only they reach, without touching
+ * the file system or the console. esbuild re-bundles the module behind an entry that
+ * re-exports only the kept names, so its tree shaking does the dead-code elimination;
+ * the module's own imports are left as they are.
+ * @param {string} code - Source of an ES module.
+ * @param {object} options - Shake options.
+ * @param {string[]} options.keep - Exports to keep (`default` for the default export).
+ * @param {boolean} options.minify - If true, minify the output.
+ * @param {string} options.filename - File the code came from: picks the loader and resolves imports.
+ * @returns {Promise<object>} `{ code, changed, savedBytes, exports, kept, removed, unknown }`, where
+ *   `removed` lists each dropped export with the `bytes` keeping it would have cost (estimated
+ *   from the unshaken build), largest first, and `unknown` the requested names the module
+ *   doesn't export.
+ * @throws {InvalidOptionError} If `keep` is missing or the code isn't an ES module.
+ * @throws {ParseError} If esbuild can't parse the code.
+ * @throws {TransformError} If esbuild fails for another reason.
+ */
+export async function shakeCode(code, options = {}) {
+  const { keep, filename = 'input.js', minify = false } = options;
+  if (!Array.isArray(keep)) {
+    throw new InvalidOptionError('Expected the exports to keep as an array of names');
+  }
+
+  const build = (names) => buildShaken(code, names, { filename, minify });
+
+  const full = await build(null);
+  if (full.format !== 'esm' || full.exports.length === 0) {
+    throw new InvalidOptionError(
+      `${path.basename(filename)} has no ES module exports to shake (bundle it with --format esm)`,
+    );
+  }
+
+  const exports = full.exports;
+  const kept = exports.filter((name) => keep.includes(name));
+  const unknown = keep.filter((name) => !exports.includes(name));
+  const shaken = await build(kept);
+  const size = Buffer.byteLength(shaken.code, 'utf8');
+
+  // What each dropped export would cost on top of the kept ones, without a build per export
+  const removed = exportCosts(
+    full.code,
+    exports.filter((name) => !kept.includes(name)),
+    kept,
+  );
+
+  return {
+    code: shaken.code,
+    changed: shaken.code !== code,
+    savedBytes: Buffer.byteLength(code, 'utf8') - size,
+    exports,
+    kept,
+    removed,
+    unknown,
+  };
+}
+
+/**
+ * Find the exports of a module that a set of sources import. Relative imports that
+ * resolve to the module count, and so do bare ones naming the package it belongs to.
+ * Namespace imports count the members read from them; anything that takes the module
+ * as a whole (`export * from`, `require()`, `import()`, AMD) keeps every export.
+ * @param {string} target - Path to the module.
+ * @param {string|string[]} inputs - Files, directories or glob patterns to scan.
+ * @param {object} options - Scan options.
+ * @param {string[]} options.ignore - Extra glob patterns to exclude.
+ * @returns {Promise<object>} `{ names, all, reasons, files }`: the imported names, whether the
+ *   whole module is used (with the imports that say so) and the files that import it.
+ */
+export async function findUsedExports(target, inputs, options = {}) {
+  const targetPath = path.resolve(target);
+  const owner = findOwnerPackage(targetPath);
+  const sources = await resolveFiles(inputs, { ignore: options.ignore });
+
+  const names = new Set();
+  const reasons = [];
+  const files = [];
+
+  for (const file of sources) {
+    if (path.resolve(file) === targetPath) continue;
+
+    let ast;
+    try {
+      ast = parseSource(readSource(file), path.basename(file));
+    } catch {
+      continue;
+    }
+
+    const refs = findModuleReferences(ast).filter(
+      (ref) => ref.kind !== 'type' && ref.kind !== 'resolve',
+    );
+    const matching = refs.filter((ref) =>
+      resolvesTo(ref.specifier, path.dirname(path.resolve(file)), targetPath, owner),
+    );
+    if (matching.length === 0) continue;
+
+    files.push(file);
+    matching.forEach((ref) => {
+      const used = importedNames(ref);
+      if (used) {
+        used.forEach((name) => names.add(name));
+      } else {
+        const loc = ref.source.loc ? `:${ref.source.loc.start.line}` : '';
+        reasons.push(`${file}${loc} uses the whole module (${ref.kind})`);
+      }
+    });
+  }
+
+  return { names: [...names].sort(), all: reasons.length > 0, reasons, files };
+}
+
+// Names an import takes from the module, or null when it takes the whole module
+function importedNames(ref) {
+  const { path: loader } = ref;
+
+  if (loader.isImportDeclaration()) {
+    const names = [];
+    for (const specifier of loader.get('specifiers')) {
+      if (specifier.node.importKind === 'type' || specifier.node.importKind === 'typeof') continue;
+      if (specifier.isImportDefaultSpecifier()) {
+        names.push('default');
+      } else if (specifier.isImportSpecifier()) {
+        const { imported } = specifier.node;
+        names.push(imported.name ?? imported.value);
+      } else {
+        const members = namespaceMembers(specifier.scope.getBinding(specifier.node.local.name));
+        if (!members) return null;
+        names.push(...members);
+      }
+    }
+    return names;
+  }
+
+  if (loader.isExportNamedDeclaration()) {
+    if (loader.node.specifiers.some((specifier) => !specifier.local)) return null;
+    return loader.node.specifiers.map((specifier) => specifier.local.name ?? specifier.local.value);
+  }
+
+  // `const { a, b } = require('./vendor')`
+  const declarator = loader.parentPath;
+  if (
+    ref.kind === 'cjs' &&
+    declarator.isVariableDeclarator() &&
+    declarator.node.init === loader.node
+  ) {
+    const { id } = declarator.node;
+    if (id.type === 'ObjectPattern' && id.properties.every(isPlainProperty)) {
+      return id.properties.map((prop) => prop.key.name ?? prop.key.value);
+    }
+  }
+
+  return null;
+}
+
+function isPlainProperty(prop) {
+  return prop.type === 'ObjectProperty' && !prop.computed;
+}
+
+// `ns.a` and `ns.b` use a and b; passing `ns` itself around uses everything
+function namespaceMembers(binding) {
+  if (!binding) return null;
+
+  const names = [];
+  for (const ref of binding.referencePaths) {
+    const member = ref.parentPath;
+    if (!member.isMemberExpression() || member.node.object !== ref.node) return null;
+    if (member.node.computed && member.node.property.type !== 'StringLiteral') return null;
+    names.push(member.node.property.name ?? member.node.property.value);
+  }
+  return names;
+}
+
+// The package a file is part of, when it lives in one (node_modules/lodash-es/lodash.js)
+function findOwnerPackage(file) {
+  for (let dir = path.dirname(file); dir !== path.dirname(dir); dir = path.dirname(dir)) {
+    const manifest = path.join(dir, 'package.json');
+    if (!fs.existsSync(manifest)) continue;
+    try {
+      const pkg = JSON.parse(fs.readFileSync(manifest, 'utf8'));
+      return pkg.name ? { name: pkg.name, dir, entry: pkg.module || pkg.main || 'index.js' } : null;
+    } catch {
+      return null;
+    }
+  }
+  return null;
+}
+
+function resolvesTo(specifier, fromDir, targetPath, owner) {
+  const matches = (base) =>
+    RESOLVE_EXTENSIONS.some((extension) => path.resolve(`${base}${extension}`) === targetPath);
+
+  if (specifier.startsWith('.') || path.isAbsolute(specifier)) {
+    return matches(path.resolve(fromDir, specifier));
+  }
+  if (!owner || getPackageName(specifier) !== owner.name) return false;
+
+  const subpath = specifier.slice(owner.name.length + 1);
+  return matches(path.join(owner.dir, subpath || owner.entry));
+}
+
+/**
+ * Bundle the module alone (its imports stay external) behind an entry that re-exports
+ * `names`, or everything when `names` is null.
+ * @returns {Promise<object>} `{ code, exports, format }`, `format` being the module's own
+ *   ('esm' or 'cjs', as esbuild detected it).
+ */
+async function buildShaken(code, names, { filename, minify }) {
+  const loader = LOADERS[path.extname(filename).toLowerCase()] || 'js';
+  const exportList = (names || []).map((name) =>
+    IDENTIFIER.test(name) ? name : JSON.stringify(name),
+  );
+
+  const config = {
+    bundle: true,
+    write: false,
+    format: 'esm',
+    platform: 'neutral',
+    treeShaking: true,
+    minify,
+    legalComments: 'inline',
+    metafile: true,
+    logLevel: 'silent',
+    plugins: [shakeInput(code, loader, path.dirname(path.resolve(filename)))],
+  };
+  if (names) {
+    config.stdin = {
+      contents: `export { ${exportList.join(', ')} } from ${JSON.stringify(INPUT)};`,
+      sourcefile: 'kz-shake.js',
+      resolveDir: process.cwd(),
+    };
+  } else {
+    config.entryPoints = [INPUT];
+  }
+
+  let result;
+  try {
+    result = await esbuild.build(config);
+  } catch (err) {
+    throw toShakeError(err, filename);
+  }
+
+  const [output] = Object.values(result.metafile.outputs);
+  const input = result.metafile.inputs[`kz-shake:${INPUT}`];
+  return {
+    // Non-minified bundles label each module with a path comment; this one has no real path
+    code: result.outputFiles[0].text.replace(`// kz-shake:${INPUT}\n`, ''),
+    exports: output.exports,
+    format: input && input.format,
+  };
+}
+
+/**
+ * Estimate what keeping each dropped export would cost on top of the kept ones, from one
+ * parse of the unshaken build: the top-level code only it reaches. Each statement is measured
+ * up to the next one, and the declarators or specifiers of a statement that has several are
+ * measured on their own. Statements that declare nothing (export lists aside) or whose
+ * declaration calls something esbuild can't drop always stay.
+ * @returns {object[]} `{ name, bytes }` for each of `dropped`, largest first.
+ */
+function exportCosts(code, dropped, kept) {
+  const ast = parse(code, { sourceType: 'module' });
+  const body = ast.program.body;
+  const edges = new Map();
+  const droppable = new Set();
+  const clauses = new Set();
+  const roots = new Map();
+
+  traverse(ast, {
+    Program(programPath) {
+      Object.values(programPath.scope.bindings).forEach((binding) => {
+        const unit = unitOf(binding.path);
+        if (!hasSideEffects(unit)) droppable.add(unit);
+        binding.referencePaths.forEach((ref) => {
+          const from = unitOf(ref);
+          if (from === unit) return;
+          if (!edges.has(from)) edges.set(from, new Set());
+          edges.get(from).add(unit);
+        });
+      });
+
+      programPath.get('body').forEach((statement) => {
+        if (statement.isExportDefaultDeclaration()) {
+          roots.set('default', [statement.node]);
+        } else if (statement.isExportNamedDeclaration() && !statement.node.source) {
+          const declared = Object.keys(statement.getBindingIdentifiers());
+          declared.forEach((name) => roots.set(name, [statement.node]));
+          statement.node.specifiers.forEach(({ local, exported }) => {
+            const binding = programPath.scope.getBinding(local.name);
+            const name = exported.type === 'StringLiteral' ? exported.value : exported.name;
+            roots.set(name, binding ? [unitOf(binding.path)] : []);
+          });
+          if (declared.length === 0) clauses.add(statement.node);
+        }
+      });
+      programPath.stop();
+    },
+  });
+
+  const reach = (start) => {
+    const seen = new Set(start);
+    const queue = [...start];
+    while (queue.length > 0) {
+      (edges.get(queue.pop()) || []).forEach((next) => {
+        if (!seen.has(next)) {
+          seen.add(next);
+          queue.push(next);
+        }
+      });
+    }
+    return seen;
+  };
+
+  const always = body
+    .filter((node) => !clauses.has(node))
+    .flatMap(partsOf)
+    .filter((unit) => !droppable.has(unit));
+  const baseline = reach([...always, ...kept.flatMap((name) => roots.get(name) || [])]);
+  const next = new Map(body.map((node, index) => [node, body[index + 1]]));
+  const size = (unit) => {
+    if (next.has(unit)) return Buffer.byteLength(code.slice(unit.start, next.get(unit)?.start));
+    // A declarator or specifier also takes its separator
+    return Buffer.byteLength(code.slice(unit.start, unit.end)) + 1;
+  };
+
+  return dropped
+    .map((name) => {
+      const only = [...reach(roots.get(name) || [])].filter((unit) => !baseline.has(unit));
+      return { name, bytes: only.reduce((sum, unit) => sum + size(unit), 0) };
+    })
+    .sort((a, b) => b.bytes - a.bytes || a.name.localeCompare(b.name));
+}
+
+// The parts of a top-level statement measured on their own: the statement itself, or its
+// declarators or specifiers when it has several
+function partsOf(node) {
+  const parts =
+    node.type === 'VariableDeclaration'
+      ? node.declarations
+      : node.type === 'ImportDeclaration'
+        ? node.specifiers
+        : [];
+  return parts.length > 1 ? parts : [node];
+}
+
+// Declarations esbuild keeps even when nothing uses them: initialized by a call that isn't
+// marked pure or one of esbuild's own helpers (`__toESM`, `__commonJS`, ...)
+function hasSideEffects(node) {
+  const declarator = node.type === 'VariableDeclaration' ? node.declarations[0] : node;
+  const init = declarator.type === 'VariableDeclarator' && declarator.init;
+  if (!init || (init.type !== 'CallExpression' && init.type !== 'NewExpression')) return false;
+
+  const pure = (init.leadingComments || []).some((comment) => /[@#]__PURE__/.test(comment.value));
+  const helper = init.callee.type === 'Identifier' && init.callee.name.startsWith('__');
+  return !pure && !helper;
+}
+
+function unitOf(nodePath) {
+  const { node } = nodePath.find(
+    (ancestor) => ancestor.parentPath && ancestor.parentPath.isProgram(),
+  );
+  return (
+    partsOf(node).find(
+      (part) => part.start <= nodePath.node.start && nodePath.node.end <= part.end,
+    ) || node
+  );
+}
+
+// The module comes from memory; everything it imports is left for the runtime to resolve
+function shakeInput(code, loader, resolveDir) {
+  return {
+    name: 'kz-shake-input',
+    setup(build) {
+      build.onResolve({ filter: /.*/ }, (args) =>
+        args.path === INPUT && args.namespace !== 'kz-shake'
+          ? { path: INPUT, namespace: 'kz-shake' }
+          : { path: args.path, external: true },
+      );
+      build.onLoad({ filter: /.*/, namespace: 'kz-shake' }, () => ({
+        contents: code,
+        loader,
+        resolveDir,
+      }));
+    },
+  };
+}
+
+function toShakeError(err, filename) {
+  const [first] = err.errors || [];
+  if (first && first.location) {
+    return new ParseError(`Failed to parse ${path.basename(filename)}: ${first.text}`, {
+      line: first.location.line,
+      column: first.location.column + 1,
+      file: filename,
+      cause: err,
+    });
+  }
+  return new TransformError(`esbuild failed: ${first ? first.text : err.message}`, {
+    cause: err,
+  });
+}
+
+function printRemoved(removed) {
+  if (removed.length === 0) return;
+
+  log.info(chalk.blue(`✂️ Dropping ${removed.length} export(s):`));
+  const width = Math.max(...removed.slice(0, REPORT_LIMIT).map((entry) => entry.name.length));
+  removed.slice(0, REPORT_LIMIT).forEach((entry) => {
+    log.info(` - ${entry.name.padEnd(width)}`, chalk.gray(`${(entry.bytes / 1024).toFixed(2)} KB`));
+  });
+  if (removed.length > REPORT_LIMIT) {
+    const rest = removed.slice(REPORT_LIMIT).reduce((sum, entry) => sum + entry.bytes, 0);
+    log.info(
+      chalk.gray(`   … ${removed.length - REPORT_LIMIT} more (${(rest / 1024).toFixed(2)} KB)`),
+    );
+  }
+}
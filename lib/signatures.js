@@ -0,0 +1,268 @@
+import { parse } from '@babel/parser';
+
+// Well-known libraries that get pasted into vendor files. `banner` matches the
+// license comment (capturing the version when it has one), `globals` the name a
+// UMD wrapper assigns, and `markers` code only the library's own build contains
+// (internal names and literals, not names an app using the library would mention).
+// More specific entries come first: react-dom before react, jquery-ui before jquery.
+const LIBRARIES = [
+  { name: 'jquery-ui', banner: /jQuery UI - v(\d[\w.-]*)/ },
+  {
+    name: 'jquery',
+    banner: /jQuery (?:JavaScript Library )?v(\d[\w.-]*)/,
+    globals: ['jQuery'],
+    // `jQuery.fn = { jquery: version, constructor: jQuery, ...`
+    markers: [/\bjquery\s*:\s*[\w$]+\s*,\s*constructor\s*:/],
+  },
+  {
+    name: 'bootstrap',
+    banner: /Bootstrap v(\d[\w.-]*)/,
+    globals: ['bootstrap'],
+    markers: [/DATA_KEY\s*=\s*["']bs\.modal["']|[=,]\s*["']bs\.modal["']\s*[,;]/],
+  },
+  {
+    name: 'moment',
+    banner: /moment\.js[\s!]+version\s*:\s*(\d[\w.-]*)/,
+    globals: ['moment'],
+    markers: [/\bmomentProperties\b/],
+  },
+  {
+    name: 'lodash',
+    banner: /Lodash <https:\/\/lodash\.com\/>|Lodash lodash\.com\/license|lodash \(Custom Build\)/,
+    globals: ['_'],
+    markers: [/__lodash_hash_undefined__/],
+  },
+  {
+    name: 'underscore',
+    banner: /(?:^|\n)[\s*]*Underscore\.js (\d[\w.-]*)/,
+    globals: ['_'],
+    markers: [/underscorejs\.org/],
+  },
+  { name: 'backbone', banner: /Backbone\.js (\d[\w.-]*)/, globals: ['Backbone'] },
+  {
+    name: 'vue',
+    banner: /Vue\.js v(\d[\w.-]*)/,
+    globals: ['Vue'],
+    markers: [/\b_isVue\s*=\s*(?:true|!0)/, /["']__v_isReactive["']/],
+  },
+  {
+    name: 'react-dom',
+    banner: /@license React(?: v(\d[\w.-]*))?\s*\*\s*react-dom\./,
+    globals: ['ReactDOM'],
+    // Reported to the devtools by react-dom's renderer
+    markers: [/rendererPackageName\s*:\s*["']react-dom["']/],
+  },
+  {
+    name: 'react',
+    banner: /@license React(?: v(\d[\w.-]*))?\s*\*\s*react\./,
+    globals: ['React'],
+    markers: [/\bReactCurrentOwner\s*[:=]/],
+  },
+  { name: '@popperjs/core', banner: /@popperjs\/core v(\d[\w.-]*)/ },
+  { name: 'popper.js', banner: /Popper\.js v(\d[\w.-]*)/, globals: ['Popper'] },
+  { name: 'chart.js', banner: /Chart\.js v(\d[\w.-]*)/, globals: ['Chart'] },
+  { name: 'd3', banner: /d3js\.org v(\d[\w.-]*)/, globals: ['d3'] },
+  { name: 'axios', banner: /[Aa]xios v(\d[\w.-]*)/, globals: ['axios'] },
+  { name: 'angular', banner: /AngularJS v(\d[\w.-]*)/, globals: ['angular'] },
+  { name: 'select2', banner: /Select2 (\d[\w.-]*)/ },
+  { name: 'datatables.net', banner: /DataTables (\d[\w.-]*)/ },
+  { name: 'swiper', banner: /Swiper (\d[\w.-]*)/, globals: ['Swiper'] },
+  { name: 'handlebars', banner: /handlebars v(\d[\w.-]*)/i, globals: ['Handlebars'] },
+  { name: 'knockout', banner: /Knockout JavaScript library v(\d[\w.-]*)/, globals: ['ko'] },
+  { name: 'hammerjs', banner: /Hammer\.JS - v(\d[\w.-]*)/, globals: ['Hammer'] },
+  { name: 'dayjs', globals: ['dayjs'] },
+];
+
+// `VERSION = '4.17.21'`, `hooks.version = "2.29.4"`, `{ version: "2.6.14" }`
+const VERSION_ASSIGNMENT = /\b(?:VERSION|version)\s*[=:]\s*(["'])(\d+\.\d+\.\d+[\w.+-]*)\1/;
+
+// Only the head of a statement is searched for the UMD shape
+const UMD_HEAD = 2000;
+
+/**
+ * Find well-known libraries pasted into a file: by their banner comment
+ * (`/*! jQuery v3.7.1 ...`), their UMD wrapper (`...: e.moment = t()`) or a
+ * `VERSION` assignment next to code only that library contains.
+ * @param {string} code - Source code.
+ * @param {object} ast - Optional pre-parsed Babel AST of the source.
+ * @returns {object[]} `{ name, version, start, end, size, evidence }` per library, where
+ *   `start`/`end` are the offsets of the banner and the top-level statement holding the
+ *   library, `size` its length in bytes and `evidence` 'banner', 'umd' or 'version'.
+ */
+export function detectLibraries(code, ast = null) {
+  let tree = ast;
+  try {
+    tree =
+      tree ||
+      parse(code, {
+        sourceType: 'unambiguous',
+        plugins: ['jsx', 'dynamicImport'],
+        allowReturnOutsideFunction: true,
+        errorRecovery: true,
+      });
+  } catch (e) {
+    return [];
+  }
+
+  const statements = tree.program.body;
+  const claimed = new Set();
+  const found = [];
+
+  const add = (library, version, start, statement, evidence) => {
+    claimed.add(statement);
+    found.push({
+      name: library.name,
+      version: version || findVersion(code, statement) || 'N/A',
+      start,
+      end: statement.end,
+      size: Buffer.byteLength(code.slice(start, statement.end), 'utf8'),
+      evidence,
+    });
+  };
+
+  // Banners: a top-level comment followed by the statement it introduces
+  groupComments(tree.comments || []).forEach((comment) => {
+    // Builds often open with `;(function () {...` to guard against the previous file
+    const statement = statements.find(
+      (node) => node.start >= comment.end && node.type !== 'EmptyStatement',
+    );
+    if (!statement || claimed.has(statement)) return;
+    if (statements.some((node) => node.start < comment.start && node.end > comment.start)) return;
+
+    for (const library of LIBRARIES) {
+      const match = library.banner && comment.text.match(library.banner);
+      if (match) {
+        add(library, match[1], comment.start, statement, 'banner');
+        return;
+      }
+    }
+  });
+
+  // UMD wrappers and version assignments in statements without a banner
+  statements
+    .filter((statement) => !claimed.has(statement))
+    .forEach((statement) => {
+      const source = code.slice(statement.start, statement.end);
+      const global = findUmdGlobal(source.slice(0, UMD_HEAD));
+      const byGlobal =
+        global && LIBRARIES.filter((library) => (library.globals || []).includes(global));
+      const byMarker = LIBRARIES.find((library) =>
+        (library.markers || []).some((marker) => marker.test(source)),
+      );
+
+      // `_` is both lodash and underscore; markers tell them apart
+      const library =
+        byGlobal && byGlobal.length > 0
+          ? byGlobal.find((candidate) => candidate === byMarker) || byGlobal[0]
+          : null;
+
+      if (library) {
+        add(library, null, leadingCommentStart(statement), statement, 'umd');
+      } else if (byMarker && VERSION_ASSIGNMENT.test(source)) {
+        add(byMarker, null, leadingCommentStart(statement), statement, 'version');
+      }
+    });
+
+  return found.sort((a, b) => a.start - b.start);
+}
+
+/**
+ * The global a well-known library's browser build defines, e.g. `jQuery` for jquery.
+ * @param {string} packageName - Package name.
+ * @returns {string|null} Global name, or null for packages not in the table.
+ */
+export function libraryGlobal(packageName) {
+  const library = LIBRARIES.find((entry) => entry.name === packageName);
+  return library && library.globals ? library.globals[0] : null;
+}
+
+/**
+ * Cut every embedded copy of a library out of a file, banner included.
+ * @param {string} code - Source code.
+ * @param {string|Function} packageName - Package to remove, e.g. `jquery`, or a test called
+ *   with each detected library's name.
+ * @returns {object} `{ code, removedCount, libraries }`.
+ */
+export function removeEmbeddedLibrary(code, packageName) {
+  const matchesName =
+    typeof packageName === 'function' ? packageName : (name) => name === packageName.toLowerCase();
+  const matches = detectLibraries(code).filter((library) => matchesName(library.name));
+
+  let result = code;
+  [...matches]
+    .sort((a, b) => b.start - a.start)
+    .forEach((library) => {
+      const label =
+        library.version !== 'N/A' ? `${library.name} v${library.version}` : library.name;
+      result = `${result.slice(0, library.start)}/* removed: ${label} */${result.slice(library.end)}`;
+    });
+
+  return { code: result, removedCount: matches.length, libraries: matches };
+}
+
+// Consecutive line comments (`//! moment.js` + `//! version : 2.29.4`) form one banner
+function groupComments(comments) {
+  const groups = [];
+
+  comments.forEach((comment) => {
+    const last = groups[groups.length - 1];
+    if (
+      last &&
+      last.line &&
+      comment.type === 'CommentLine' &&
+      comment.loc.start.line === last.endLine + 1
+    ) {
+      last.text += `\n${comment.value}`;
+      last.end = comment.end;
+      last.endLine = comment.loc.end.line;
+      return;
+    }
+
+    groups.push({
+      text: comment.value,
+      start: comment.start,
+      end: comment.end,
+      line: comment.type === 'CommentLine',
+      endLine: comment.loc.end.line,
+    });
+  });
+
+  return groups;
+}
+
+// A library's code usually carries its license comment; include it in the range
+function leadingCommentStart(statement) {
+  const comments = statement.leadingComments || [];
+  return comments.length > 0 ? Math.min(statement.start, comments[0].start) : statement.start;
+}
+
+function findVersion(code, statement) {
+  const source = code.slice(statement.start, statement.end);
+  const match = source.match(VERSION_ASSIGNMENT);
+  if (match) return match[2];
+
+  // Minified: `var i = "4.17.21"; ... _.VERSION = i`
+  const alias = source.match(/\.VERSION\s*=\s*([\w$]+)/);
+  if (!alias) return null;
+  const value = source.match(
+    new RegExp(
+      `[,\\s;{(]${alias[1].replace(/\$/g, '\\$')}\\s*=\\s*(["'])(\\d+\\.\\d+\\.\\d+[\\w.+-]*)\\1`,
+    ),
+  );
+  return value ? value[2] : null;
+}
+
+// `define("jquery", ...)` names the module; `root.moment = factory()` names the global
+function findUmdGlobal(head) {
+  if (!/define\.amd|typeof\s+exports|typeof\s+module/.test(head)) return null;
+
+  const assignment = head.match(/[\w$]+\.([\w$]+)\s*=\s*[\w$]+\(/g) || [];
+  const named = assignment
+    .map((text) => text.match(/\.([\w$]+)\s*=/)[1])
+    .find((name) => name !== 'exports');
+  if (named) return named;
+
+  const amd = head.match(/define\(\s*["']([\w.-]+)["']/);
+  const library = amd && LIBRARIES.find((entry) => entry.name === amd[1]);
+  return library && library.globals ? library.globals[0] : null;
+}
@@ -0,0 +1,212 @@
+import fs from 'fs';
+import path from 'path';
+import { parse } from '@babel/parser';
+import { GenMapping, addMapping, setSourceContent, toEncodedMap } from '@jridgewell/gen-mapping';
+import remappingModule from '@ampproject/remapping';
+
+const remapping = remappingModule.default || remappingModule;
+
+const SOURCE_MAPPING_URL = /\n?\/\/[#@] sourceMappingURL=([^\s'"]+)\s*$/;
+
+// Tokens whose value survives reformatting: identifiers, literals and keywords
+const SIGNIFICANT_TOKENS = ['name', 'string', 'num', 'bigint', 'regexp', 'template', 'jsxName'];
+
+/**
+ * Split a trailing `//# sourceMappingURL=` comment off a file's contents.
+ * @param {string} code - File contents.
+ * @returns {object} `{ code, url }` with the comment removed.
+ */
+export function stripSourceMappingURL(code) {
+  const match = code.match(SOURCE_MAPPING_URL);
+  if (!match) return { code, url: null };
+  return { code: code.slice(0, match.index) + (code.endsWith('\n') ? '\n' : ''), url: match[1] };
+}
+
+/**
+ * Load the source map a file already points to (inline, by URL, or `<file>.map`).
+ * @param {string} filePath - Path to the file.
+ * @param {string} url - URL from the file's sourceMappingURL comment, if any.
+ * @returns {object|null} Parsed source map.
+ */
+export function readInputMap(filePath, url) {
+  try {
+    if (url && url.startsWith('data:')) {
+      const [, payload] = url.split(',');
+      const isBase64 = /;base64$/.test(url.slice(0, url.indexOf(',')));
+      return JSON.parse(
+        isBase64 ? Buffer.from(payload, 'base64').toString('utf8') : decodeURIComponent(payload),
+      );
+    }
+
+    const mapPath = url ? path.resolve(path.dirname(filePath), url) : `${filePath}.map`;
+    if (fs.existsSync(mapPath)) return JSON.parse(fs.readFileSync(mapPath, 'utf8'));
+  } catch (e) {
+    // Unreadable map, treat the file as the original source
+  }
+
+  return null;
+}
+
+/**
+ * Build a source map for a transformation that doesn't produce one (Prettier,
+ * regex and string passes) by aligning identifiers, literals and keywords
+ * between the original and the generated code.
+ * @param {string} original - Source before the transformation.
+ * @param {string} generated - Source after the transformation.
+ * @param {string} source - Name of the original source in the map.
+ * @returns {object} Encoded source map.
+ */
+export function createAlignmentMap(original, generated, source) {
+  const map = new GenMapping({ file: source });
+  setSourceContent(map, source, original);
+
+  const from = tokenize(original);
+  const to = tokenize(generated);
+
+  if (!from || !to) {
+    addLineMappings(map, original, generated, source);
+    return toEncodedMap(map);
+  }
+
+  const fromIndex = indexTokens(from);
+  const toIndex = indexTokens(to);
+  let i = 0;
+  let j = 0;
+
+  while (i < from.length && j < to.length) {
+    if (from[i].key === to[j].key) {
+      addMapping(map, {
+        generated: to[j].loc,
+        source,
+        original: from[i].loc,
+        name: from[i].name,
+      });
+      i++;
+      j++;
+      continue;
+    }
+
+    // Resync on the nearest matching run of tokens: either original tokens were
+    // removed (skip ahead in `from`) or new ones were inserted (skip ahead in `to`)
+    const removed = nextOccurrence(fromIndex, to[j].run, i) - i;
+    const inserted = nextOccurrence(toIndex, from[i].run, j) - j;
+
+    if (removed !== Infinity && removed <= inserted) {
+      i += removed;
+    } else if (inserted !== Infinity) {
+      j += inserted;
+    } else {
+      i++;
+      j++;
+    }
+  }
+
+  return toEncodedMap(map);
+}
+
+/**
+ * Compose a transformation's map with the map of its input, so the result
+ * points at the original sources.
+ * @param {object} map - Map from the input file to the output.
+ * @param {object|null} inputMap - Existing map of the input file.
+ * @returns {object} Composed source map.
+ */
+export function chainMaps(map, inputMap) {
+  if (!inputMap) return map;
+
+  // Only the transformation's own source is replaced; deeper sources are left as they are
+  const chained = remapping(map, (file, ctx) => (ctx.depth === 1 ? inputMap : null));
+  return JSON.parse(JSON.stringify(chained));
+}
+
+/**
+ * Write `<file>.map` next to the output and point the output at it.
+ * @param {string} filePath - Path of the written file.
+ * @param {string} code - Output code without a sourceMappingURL comment.
+ * @param {object} map - Source map for the output.
+ * @returns {string} Output code with the sourceMappingURL comment appended.
+ */
+export function writeSourceMap(filePath, code, map) {
+  const mapPath = `${filePath}.map`;
+  const output = { ...map, file: path.basename(filePath) };
+  fs.writeFileSync(mapPath, JSON.stringify(output), 'utf8');
+
+  const separator = code.endsWith('\n') ? '' : '\n';
+  return `${code}${separator}//# sourceMappingURL=${path.basename(mapPath)}\n`;
+}
+
+function tokenize(code) {
+  try {
+    const { tokens } = parse(code, {
+      sourceType: 'unambiguous',
+      plugins: ['jsx', 'typescript'],
+      tokens: true,
+      errorRecovery: true,
+      allowImportExportEverywhere: true,
+      allowReturnOutsideFunction: true,
+      allowAwaitOutsideFunction: true,
+    });
+
+    const significant = tokens
+      .filter((token) => token.type.keyword || SIGNIFICANT_TOKENS.includes(token.type.label))
+      .map((token) => ({
+        key: token.type.keyword ? `k:${token.type.keyword}` : `v:${String(token.value)}`,
+        name: token.type.label === 'name' ? token.value : undefined,
+        loc: { line: token.loc.start.line, column: token.loc.start.column },
+      }));
+
+    // A run of three tokens is a far more reliable resync anchor than a single keyword
+    significant.forEach((token, index) => {
+      token.run = significant
+        .slice(index, index + 3)
+        .map(({ key }) => key)
+        .join(' ');
+    });
+
+    return significant;
+  } catch (e) {
+    return null;
+  }
+}
+
+function indexTokens(tokens) {
+  const index = new Map();
+  tokens.forEach((token, position) => {
+    if (!index.has(token.run)) index.set(token.run, []);
+    index.get(token.run).push(position);
+  });
+  return index;
+}
+
+// First position of a token run at or after `start`, or Infinity
+function nextOccurrence(index, run, start) {
+  const positions = index.get(run);
+  if (!positions) return Infinity;
+
+  let low = 0;
+  let high = positions.length;
+  while (low < high) {
+    const mid = (low + high) >> 1;
+    if (positions[mid] < start) low = mid + 1;
+    else high = mid;
+  }
+  return low < positions.length ? positions[low] : Infinity;
+}
+
+// Fallback for code that doesn't tokenize: map identical lines to each other
+function addLineMappings(map, original, generated, source) {
+  const originalLines = new Map();
+  original.split('\n').forEach((line, index) => {
+    if (!originalLines.has(line)) originalLines.set(line, index + 1);
+  });
+
+  generated.split('\n').forEach((line, index) => {
+    if (originalLines.has(line)) {
+      addMapping(map, {
+        generated: { line: index + 1, column: 0 },
+        source,
+        original: { line: originalLines.get(line), column: 0 },
+      });
+    }
+  });
+}
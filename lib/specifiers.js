@@ -0,0 +1,157 @@
+import path from 'path';
+import { parse } from '@babel/parser';
+import traverseModule from '@babel/traverse';
+import { getPackageName } from './utils.js';
+
+const traverse = traverseModule.default;
+
+const TYPESCRIPT_EXTENSIONS = ['.ts', '.mts', '.cts', '.tsx'];
+
+// AMD's own pseudo-dependencies, not modules
+const AMD_BUILTINS = ['require', 'exports', 'module'];
+
+/**
+ * Parse JavaScript, TypeScript or Flow. `.ts` files get the TypeScript plugin, files with
+ * an `@flow` pragma the Flow plugin, and anything else is tried as JSX + TypeScript (a
+ * superset of most JavaScript) and then as Flow.
+ * @param {string} code - Source code.
+ * @param {string} filename - File name, used to pick the syntax plugins.
+ * @param {object} options - Extra `@babel/parser` options.
+ * @returns {object} Babel AST.
+ * @throws {SyntaxError} The first attempt's error if the code doesn't parse either way.
+ */
+export function parseSource(code, filename = 'input.js', options = {}) {
+  const ext = path.extname(filename).toLowerCase();
+  const typescript = ['typescript', ...(['.ts', '.mts', '.cts'].includes(ext) ? [] : ['jsx'])];
+  const flow = ['jsx', ['flow', { all: true }]];
+
+  let attempts = [typescript, flow];
+  if (TYPESCRIPT_EXTENSIONS.includes(ext)) attempts = [typescript];
+  else if (/^\s*(?:\/\/|\/\*)[^]*?@flow\b/.test(code)) attempts = [flow];
+
+  let firstError = null;
+  for (const plugins of attempts) {
+    try {
+      return parse(code, { sourceType: 'unambiguous', ...options, plugins });
+    } catch (err) {
+      firstError = firstError || err;
+    }
+  }
+  throw firstError;
+}
+
+/**
+ * Find every place a piece of code loads another module by name:
+ *
+ * - `import`, `import type`, `export { a } from`, `export * from` ('esm' or 'type')
+ * - `require()`, `createRequire(...)` aliases and TypeScript `import x = require()` ('cjs')
+ * - `import()` ('dynamic')
+ * - `require.resolve()` and `import.meta.resolve()` ('resolve')
+ * - AMD `define([...], factory)` and `require([...], callback)` dependencies ('amd')
+ *
+ * Specifiers may be string literals or template literals; a template with placeholders
+ * counts when its text names the package (`` `moment/locale/${lang}` `` → `moment/locale/*`).
+ * @param {object} ast - Babel AST.
+ * @returns {object[]} `{ specifier, kind, path, source }` per reference, where `path` is the
+ *   declaration or call that loads the module and `source` the specifier's node. AMD entries
+ *   also have `dependency`, the array element's path, and `param`, the factory parameter it
+ *   is passed as (or null).
+ */
+export function findModuleReferences(ast) {
+  const found = [];
+
+  const add = (loader, source, kind, extra = {}) => {
+    const specifier = specifierOf(source);
+    if (specifier !== null) found.push({ specifier, kind, path: loader, source, ...extra });
+  };
+
+  const addAmd = (loader, dependencies, factory) => {
+    const params = factory && factory.isFunction() ? factory.get('params') : [];
+    dependencies.get('elements').forEach((element, index) => {
+      if (!element.node || AMD_BUILTINS.includes(element.node.value)) return;
+      add(loader, element.node, 'amd', { dependency: element, param: params[index] || null });
+    });
+  };
+
+  traverse(ast, {
+    'ImportDeclaration|ExportNamedDeclaration|ExportAllDeclaration'(loader) {
+      const { source, importKind, exportKind } = loader.node;
+      if (!source) return;
+
+      const typeOnly = ['type', 'typeof'].includes(importKind) || exportKind === 'type';
+      add(loader, source, typeOnly ? 'type' : 'esm');
+    },
+    TSImportEqualsDeclaration(loader) {
+      const { moduleReference, importKind } = loader.node;
+      if (moduleReference.type !== 'TSExternalModuleReference') return;
+      add(loader, moduleReference.expression, importKind === 'type' ? 'type' : 'cjs');
+    },
+    CallExpression(loader) {
+      const { callee, arguments: args } = loader.node;
+      if (args.length === 0) return;
+
+      if (callee.type === 'Import') {
+        add(loader, args[0], 'dynamic');
+      } else if (isRequire(loader.get('callee'))) {
+        if (args[0].type === 'ArrayExpression') {
+          addAmd(loader, loader.get('arguments.0'), loader.get('arguments.1'));
+        } else {
+          add(loader, args[0], 'cjs');
+        }
+      } else if (isResolve(loader.get('callee'))) {
+        add(loader, args[0], 'resolve');
+      } else if (callee.type === 'Identifier' && callee.name === 'define') {
+        // define([deps], factory) or define('name', [deps], factory)
+        const index = args.findIndex((arg) => arg.type === 'ArrayExpression');
+        if (index === 0 || index === 1) {
+          addAmd(loader, loader.get(`arguments.${index}`), loader.get(`arguments.${index + 1}`));
+        }
+      }
+    },
+  });
+
+  return found;
+}
+
+function specifierOf(node) {
+  if (!node) return null;
+  if (node.type === 'StringLiteral') return node.value;
+  if (node.type !== 'TemplateLiteral') return null;
+
+  const parts = node.quasis.map((quasi) => quasi.value.cooked);
+  if (parts.length === 1) return parts[0];
+
+  // `lodash/${name}` names its package; `${dir}/x`, `./${file}` and `lodash${suffix}` don't
+  const name = getPackageName(parts[0]);
+  return name && parts[0].startsWith(`${name}/`) ? parts.join('*') : null;
+}
+
+// `require`, or a name bound to `createRequire(...)` / `module.createRequire(...)`
+function isRequire(callee) {
+  if (!callee.isIdentifier()) return false;
+  if (callee.node.name === 'require') return true;
+
+  const binding = callee.scope.getBinding(callee.node.name);
+  if (!binding || !binding.path.isVariableDeclarator()) return false;
+
+  const { init } = binding.path.node;
+  if (!init || init.type !== 'CallExpression') return false;
+  return (
+    (init.callee.type === 'Identifier' && init.callee.name === 'createRequire') ||
+    (init.callee.type === 'MemberExpression' &&
+      !init.callee.computed &&
+      init.callee.property.name === 'createRequire')
+  );
+}
+
+// `require.resolve` (or an alias's) and `import.meta.resolve`
+function isResolve(callee) {
+  if (!callee.isMemberExpression() || callee.node.computed) return false;
+  if (callee.node.property.name !== 'resolve') return false;
+
+  const object = callee.get('object');
+  if (object.isMetaProperty()) {
+    return object.node.meta.name === 'import' && object.node.property.name === 'meta';
+  }
+  return isRequire(object);
+}
@@ -0,0 +1,265 @@
+import fs from 'fs';
+import path from 'path';
+import zlib from 'zlib';
+import esbuild from 'esbuild';
+import chalk from 'chalk';
+import { packageFromModulePath } from './decoder.js';
+import { BundleError } from './errors.js';
+import { log } from './logger.js';
+
+const LOADERS = {
+  '.js': 'js',
+  '.mjs': 'js',
+  '.cjs': 'js',
+  '.jsx': 'jsx',
+  '.ts': 'ts',
+  '.tsx': 'tsx',
+};
+
+/**
+ * Work out how many bytes each package contributes to a bundle from an esbuild metafile.
+ * @param {object} metafile - esbuild metafile.
+ * @param {string} outputFile - Output file the report is for.
+ * @param {string} cwd - Directory the metafile paths are relative to.
+ * @returns {object} `{ output, bytes, packages, duplicates }`.
+ * @throws {BundleError} If the metafile has no such output.
+ */
+export function buildBundleReport(metafile, outputFile, cwd = process.cwd()) {
+  const outputKey = Object.keys(metafile.outputs).find(
+    (key) => path.resolve(cwd, key) === path.resolve(cwd, outputFile),
+  );
+  if (!outputKey) throw new BundleError(`Output ${outputFile} not found in metafile`);
+
+  const output = metafile.outputs[outputKey];
+  const packages = new Map();
+
+  Object.entries(output.inputs).forEach(([inputPath, { bytesInOutput }]) => {
+    const name = packageFromModulePath(inputPath.split(path.sep).join('/'));
+    if (!name || bytesInOutput === 0) return;
+
+    const root = findPackageRoot(inputPath, name);
+    if (!packages.has(name)) packages.set(name, { name, copies: new Map(), files: [] });
+
+    const pkg = packages.get(name);
+    if (!pkg.copies.has(root)) pkg.copies.set(root, readVersion(path.resolve(cwd, root)));
+    pkg.files.push({
+      path: inputPath,
+      bytes: metafile.inputs[inputPath] ? metafile.inputs[inputPath].bytes : 0,
+      bytesInOutput,
+    });
+  });
+
+  const report = [...packages.values()].map((pkg) => ({
+    name: pkg.name,
+    versions: [...new Set(pkg.copies.values())],
+    copies: [...pkg.copies].map(([root, version]) => ({ path: root, version })),
+    files: pkg.files,
+    ...measure(pkg.files, cwd),
+  }));
+
+  report.sort((a, b) => b.bytesInOutput - a.bytesInOutput);
+
+  return {
+    output: outputKey,
+    bytes: output.bytes,
+    packages: report,
+    duplicates: report.filter((pkg) => pkg.copies.length > 1),
+  };
+}
+
+/**
+ * Print a bundle report as a per-package size table.
+ * @param {object} report - Report returned by buildBundleReport.
+ */
+export function printBundleReport(report) {
+  const kb = (bytes) => `${(bytes / 1024).toFixed(2)} KB`.padStart(11);
+
+  log.info(chalk.cyan(`📊 Bundle report: ${report.output} (${kb(report.bytes).trim()})`));
+  log.info(
+    chalk.gray(
+      `   ${'Package'.padEnd(30)}${'In bundle'.padStart(11)}${'Raw'.padStart(11)}` +
+        `${'Minified'.padStart(11)}${'Gzip'.padStart(11)}${'Brotli'.padStart(11)}`,
+    ),
+  );
+
+  report.packages.forEach((pkg) => {
+    const label = `${pkg.name}${pkg.versions.length === 1 ? ` v${pkg.versions[0]}` : ''}`;
+    log.info(
+      ` - ${chalk.green(label.padEnd(30))}${kb(pkg.bytesInOutput)}${kb(pkg.raw)}` +
+        `${kb(pkg.minified)}${kb(pkg.gzip)}${kb(pkg.brotli)}`,
+    );
+  });
+
+  if (report.duplicates.length > 0) {
+    log.info(chalk.yellow(`⚠ Duplicate packages:`));
+    report.duplicates.forEach((pkg) => {
+      log.info(' -', chalk.red(pkg.name));
+      pkg.copies.forEach((copy) => {
+        log.info(chalk.gray(`     v${copy.version} at ${copy.path}`));
+      });
+    });
+  }
+}
+
+/**
+ * Write a standalone HTML treemap of a bundle report.
+ * @param {object} report - Report returned by buildBundleReport.
+ * @param {string} htmlFile - Path of the HTML file to write.
+ */
+export function writeTreemap(report, htmlFile) {
+  const data = report.packages.map((pkg) => ({
+    name: pkg.name,
+    label: pkg.versions.length === 1 ? `${pkg.name} v${pkg.versions[0]}` : pkg.name,
+    size: pkg.bytesInOutput,
+    children: pkg.files.map((file) => ({
+      name: file.path.slice(file.path.lastIndexOf(`node_modules/${pkg.name}/`)),
+      size: file.bytesInOutput,
+    })),
+  }));
+
+  fs.writeFileSync(htmlFile, renderTreemap(report.output, report.bytes, data), 'utf8');
+}
+
+function findPackageRoot(inputPath, name) {
+  const normalized = inputPath.split(path.sep).join('/');
+  const marker = `node_modules/${name}`;
+  return normalized.slice(0, normalized.lastIndexOf(marker) + marker.length);
+}
+
+function readVersion(root) {
+  try {
+    return JSON.parse(fs.readFileSync(path.join(root, 'package.json'), 'utf8')).version || 'N/A';
+  } catch (e) {
+    return 'N/A';
+  }
+}
+
+// Raw is the source size; minified, gzip and brotli are measured on the package's files alone
+function measure(files, cwd) {
+  const raw = files.reduce((sum, file) => sum + file.bytes, 0);
+  const bytesInOutput = files.reduce((sum, file) => sum + file.bytesInOutput, 0);
+
+  const minifiedCode = files
+    .map((file) => {
+      const filePath = path.resolve(cwd, file.path);
+      const loader = LOADERS[path.extname(filePath)];
+      if (!loader || !fs.existsSync(filePath)) return '';
+
+      try {
+        return esbuild.transformSync(fs.readFileSync(filePath, 'utf8'), { loader, minify: true })
+          .code;
+      } catch (e) {
+        return fs.readFileSync(filePath, 'utf8');
+      }
+    })
+    .join('\n');
+
+  const buffer = Buffer.from(minifiedCode, 'utf8');
+
+  return {
+    bytesInOutput,
+    raw,
+    minified: buffer.length,
+    gzip: zlib.gzipSync(buffer, { level: 9 }).length,
+    brotli: zlib.brotliCompressSync(buffer).length,
+  };
+}
+
+function renderTreemap(title, totalBytes, data) {
+  const json = JSON.stringify(data).replace(/</g, '\\u003c');
+  const escapedTitle = title.replace(/[&<>"]/g, (c) => `&#${c.charCodeAt(0)};`);
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapedTitle} – bundle treemap</title>
+<style>
+  body { margin: 0; font: 12px/1.3 system-ui, sans-serif; background: #1e1e1e; color: #eee; }
+  header { padding: 8px 12px; }
+  #map { position: absolute; top: 36px; left: 0; right: 0; bottom: 0; }
+  .cell { position: absolute; box-sizing: border-box; border: 1px solid #1e1e1e; overflow: hidden; padding: 2px 4px; }
+  .cell.file { border-color: rgba(0, 0, 0, 0.25); }
+  .cell span { white-space: nowrap; pointer-events: none; }
+</style>
+</head>
+<body>
+<header><strong>${escapedTitle}</strong> – ${(totalBytes / 1024).toFixed(2)} KB</header>
+<div id="map"></div>
+<script>
+const data = ${json};
+const map = document.getElementById('map');
+
+// Squarified treemap layout
+function layout(items, x, y, w, h) {
+  const total = items.reduce((s, i) => s + i.size, 0);
+  const rects = [];
+  let rest = items.slice().sort((a, b) => b.size - a.size);
+  while (rest.length) {
+    const horizontal = w >= h;
+    const side = horizontal ? h : w;
+    const remaining = rest.reduce((s, i) => s + i.size, 0);
+    let row = [];
+    let best = Infinity;
+    for (const item of rest) {
+      const next = row.concat(item);
+      const sum = next.reduce((s, i) => s + i.size, 0);
+      const length = ((horizontal ? w : h) * sum) / remaining;
+      const worst = Math.max(...next.map((i) => {
+        const other = (side * i.size) / sum;
+        return Math.max(length / other, other / length);
+      }));
+      if (worst > best) break;
+      best = worst;
+      row = next;
+    }
+    const sum = row.reduce((s, i) => s + i.size, 0);
+    const length = ((horizontal ? w : h) * sum) / remaining;
+    let offset = 0;
+    for (const item of row) {
+      const other = (side * item.size) / sum;
+      rects.push(horizontal
+        ? { item, x, y: y + offset, w: length, h: other }
+        : { item, x: x + offset, y, w: other, h: length });
+      offset += other;
+    }
+    if (horizontal) { x += length; w -= length; } else { y += length; h -= length; }
+    rest = rest.slice(row.length);
+  }
+  return total ? rects : [];
+}
+
+function cell(rect, className, color, label) {
+  const el = document.createElement('div');
+  el.className = 'cell ' + className;
+  Object.assign(el.style, {
+    left: rect.x + 'px', top: rect.y + 'px', width: rect.w + 'px', height: rect.h + 'px',
+    background: color,
+  });
+  el.title = label + ' – ' + (rect.item.size / 1024).toFixed(2) + ' KB';
+  if (rect.w > 40 && rect.h > 14) {
+    const span = document.createElement('span');
+    span.textContent = label;
+    el.appendChild(span);
+  }
+  map.appendChild(el);
+}
+
+function render() {
+  map.innerHTML = '';
+  const rects = layout(data.filter((d) => d.size > 0), 0, 0, map.clientWidth, map.clientHeight);
+  rects.forEach((rect, index) => {
+    const hue = (index * 47) % 360;
+    cell(rect, 'package', 'hsl(' + hue + ', 45%, 35%)', rect.item.label);
+    layout(rect.item.children.filter((c) => c.size > 0), rect.x, rect.y + 16, rect.w, Math.max(rect.h - 16, 0))
+      .forEach((child) => cell(child, 'file', 'hsl(' + hue + ', 45%, 45%)', child.item.name));
+  });
+}
+
+window.addEventListener('resize', render);
+render();
+</script>
+</body>
+</html>
+`;
+}
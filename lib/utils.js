@@ -1,79 +1,130 @@
 import fs from 'fs';
 import path from 'path';
+import { globby, isDynamicPattern } from 'globby';
+import { FileNotFoundError, WriteError } from './errors.js';
+import { writeSourceMap } from './sourcemap.js';
+
+const SOURCE_EXTENSIONS = ['js', 'mjs', 'cjs', 'jsx', 'ts', 'mts', 'cts', 'tsx'];
+const DEFAULT_IGNORES = ['**/node_modules/**', '**/.git/**'];
+const PACKAGE_NAME = /^(@[a-z0-9-][\w.~-]*\/)?[a-z0-9-][\w.~-]*$/i;
 
 /**
- * Get the version of an installed package
- * @param {string} pkgName - Package name
- * @returns {string} Package version or 'N/A'
+ * Expand files, directories and glob patterns into a sorted list of files.
+ * Directories are walked for JS/TS sources; `.gitignore` rules are respected
+ * for anything that is discovered rather than named explicitly.
+ * @param {string|string[]} inputs - Files, directories or glob patterns
+ * @param {object} options - Resolution options
+ * @param {string[]} options.ignore - Extra glob patterns to exclude
+ * @returns {Promise<string[]>} Matching file paths
  */
-export function getPackageVersion(pkgName) {
-  try {
-    // Skip obviously invalid package names
-    if (!isLikelyPackageName(pkgName)) {
-      return 'N/A';
+export async function resolveFiles(inputs, options = {}) {
+  const ignore = [...DEFAULT_IGNORES, ...(options.ignore || [])];
+  const files = new Set();
+  const patterns = [];
+
+  for (const input of [].concat(inputs)) {
+    if (!isDynamicPattern(input) && fs.existsSync(input) && fs.statSync(input).isFile()) {
+      files.add(input);
+    } else {
+      patterns.push(input.split(path.sep).join('/'));
     }
+  }
 
-    // Handle scoped packages
-    const packagePaths = [
-      path.join(process.cwd(), 'node_modules', pkgName, 'package.json'),
-      path.join(process.cwd(), 'node_modules', '@types', pkgName, 'package.json'),
-    ];
-
-    // Try global node_modules if local not found
-    if (process.env.NODE_PATH) {
-      const globalPaths = process.env.NODE_PATH.split(path.delimiter);
-      globalPaths.forEach((globalPath) => {
-        packagePaths.push(path.join(globalPath, pkgName, 'package.json'));
-      });
-    }
+  if (patterns.length > 0) {
+    const matches = await globby(patterns, {
+      ignore,
+      gitignore: true,
+      expandDirectories: { extensions: SOURCE_EXTENSIONS },
+    });
+    matches.forEach((file) => files.add(file));
+  }
 
-    for (const pkgPath of packagePaths) {
-      if (fs.existsSync(pkgPath)) {
-        const pkgData = JSON.parse(fs.readFileSync(pkgPath, 'utf8'));
-        return pkgData.version || 'N/A';
-      }
-    }
+  return [...files].sort();
+}
 
-    // Alternative method: try to require the package and check its package.json
-    try {
-      const packageJsonPath = require.resolve(`${pkgName}/package.json`);
-      if (fs.existsSync(packageJsonPath)) {
-        const pkgData = JSON.parse(fs.readFileSync(packageJsonPath, 'utf8'));
-        return pkgData.version || 'N/A';
-      }
-    } catch (resolveError) {
-      // Package not found via require.resolve
-    }
-  } catch (error) {
-    // Failed to read package.json
+/**
+ * Read a source file as UTF-8
+ * @param {string} filePath - Path to the file
+ * @returns {string} File contents
+ * @throws {FileNotFoundError} If the file doesn't exist
+ */
+export function readSource(filePath) {
+  if (!fs.existsSync(filePath) || !fs.statSync(filePath).isFile()) {
+    throw new FileNotFoundError(filePath);
+  }
+  return fs.readFileSync(filePath, 'utf8');
+}
+
+/**
+ * Write transformed code back to its file, with `<file>.map` when there is a map
+ * @param {string} filePath - Path to the file
+ * @param {string} code - New contents
+ * @param {object|null} map - Source map for the new contents
+ * @param {object} backup - Optional backup session; both files are saved to it first
+ * @throws {WriteError} If the file or its map can't be written
+ */
+export function writeOutput(filePath, code, map, backup) {
+  if (backup) {
+    backup.save(filePath);
+    if (map) backup.save(`${filePath}.map`);
+  }
+  try {
+    fs.writeFileSync(filePath, map ? writeSourceMap(filePath, code, map) : code, 'utf8');
+  } catch (err) {
+    throw new WriteError(`Failed to write ${filePath}: ${err.message}`, {
+      file: filePath,
+      cause: err,
+    });
   }
+}
+
+/**
+ * Run an async function over items with a bounded number in flight
+ * @param {Array} items - Items to process
+ * @param {number} limit - Maximum concurrent calls
+ * @param {Function} fn - Async worker called with (item, index)
+ * @returns {Promise<Array>} Results in input order
+ */
+export async function mapConcurrent(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return results;
+}
+
+/**
+ * Resolve a bare import specifier to its package name
+ * @param {string} specifier - Import specifier, e.g. `lodash/map` or `@scope/pkg/x`
+ * @returns {string|null} Package name, or null for relative, absolute, URL, `#internal`
+ *   and alias (`@/x`, `~/x`) specifiers
+ */
+export function getPackageName(specifier) {
+  if (!specifier || typeof specifier !== 'string') return null;
+  if (/^[./]/.test(specifier) || /^[a-zA-Z][\w+.-]*:/.test(specifier)) return null;
 
-  return 'N/A';
+  const parts = specifier.split('/');
+  const name = specifier.startsWith('@') ? parts.slice(0, 2).join('/') : parts[0];
+  return PACKAGE_NAME.test(name) ? name : null;
 }
 
 /**
- * Check if a string looks like a real package name
- * @param {string} name - String to check
- * @returns {boolean} True if likely a package name
+ * Turn a package name into a camelCased identifier
+ * @param {string} pkg - Package name, e.g. `@scope/chart.js` or `lodash/map`
+ * @returns {string} Identifier, e.g. `chartJs` or `lodashMap`
  */
-function isLikelyPackageName(name) {
-  if (!name || typeof name !== 'string') return false;
-
-  // Quick filters for obviously invalid names
-  if (name.length < 2 || name.length > 214) return false;
-  if (/\s/.test(name)) return false; // No whitespace
-  if (/^[0-9+\-*/=<>!&|^%(){}[\],.;:?~`#$\\]+$/.test(name)) return false; // Only symbols/numbers
-
-  // Common known package patterns (more inclusive)
-  const knownPatterns = [
-    /^(jquery|lodash|moment|react|vue|angular|bootstrap|express|axios|webpack|babel|eslint)/i,
-    /^@(babel|types|typescript|angular|vue|react)/,
-    /\.(js|ts|css|scss|less|net)$/,
-    /-(js|ts|css|scss|plugin|loader|cli|core|utils|dom|api|net|bs4|buttons|autofill|responsive)$/,
-    /^(datatables|popper|util|stream|prism)/i,
-  ];
-
-  return knownPatterns.some((pattern) => pattern.test(name));
+export function toIdentifier(pkg) {
+  const name = pkg
+    .replace(/^@[^/]+\//, '')
+    .replace(/[^A-Za-z0-9_$]+(.)?/g, (_, next) => (next ? next.toUpperCase() : ''));
+  return /^[0-9]/.test(name) ? `_${name}` : name;
 }
 
 /**
@@ -116,62 +167,3 @@ export function getFileStats(filePath) {
     return null;
   }
 }
-
-/**
- * Create a backup of a file before modifying it
- * @param {string} filePath - Path to the file
- * @returns {string} Path to backup file
- */
-export function createBackup(filePath) {
-  const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
-  const backupPath = `${filePath}.backup.${timestamp}`;
-
-  try {
-    fs.copyFileSync(filePath, backupPath);
-    return backupPath;
-  } catch (error) {
-    throw new Error(`Failed to create backup: ${error.message}`);
-  }
-}
-
-/**
- * Validate JavaScript/TypeScript file
- * @param {string} filePath - Path to the file
- * @returns {object} Validation result
- */
-export function validateJSFile(filePath) {
-  try {
-    const code = fs.readFileSync(filePath, 'utf8');
-
-    // Basic validation checks
-    const issues = [];
-
-    // Check for common syntax issues
-    const openBraces = (code.match(/\{/g) || []).length;
-    const closeBraces = (code.match(/\}/g) || []).length;
-    const openParens = (code.match(/\(/g) || []).length;
-    const closeParens = (code.match(/\)/g) || []).length;
-
-    if (openBraces !== closeBraces) {
-      issues.push(`Mismatched braces: ${openBraces} open, ${closeBraces} close`);
-    }
-
-    if (openParens !== closeParens) {
-      issues.push(`Mismatched parentheses: ${openParens} open, ${closeParens} close`);
-    }
-
-    return {
-      valid: issues.length === 0,
-      issues,
-      size: code.length,
-      lines: code.split('\n').length,
-    };
-  } catch (error) {
-    return {
-      valid: false,
-      issues: [`Failed to read file: ${error.message}`],
-      size: 0,
-      lines: 0,
-    };
-  }
-}
@@ -0,0 +1,367 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { spawnSync } from 'child_process';
+import chalk from 'chalk';
+import traverseModule from '@babel/traverse';
+import { VerificationError } from './errors.js';
+import { parseSource } from './specifiers.js';
+import { getPackageName } from './utils.js';
+import { log } from './logger.js';
+
+const traverse = traverseModule.default;
+
+const NODE_CHECK_EXTENSIONS = ['.js', '.mjs', '.cjs'];
+
+let checkCount = 0;
+
+/**
+ * Check that transformed code still parses, still exposes the same API as the input (the
+ * same exports for modules, the same top-level names for scripts) and still declares every
+ * name it uses.
+ * @param {string} before - Source before the transformation.
+ * @param {string} after - Source after the transformation.
+ * @param {object} options - Verify options.
+ * @param {string} options.filename - File name, used to pick parser plugins.
+ * @param {string|Function} options.removedPackage - Package being removed, or a test called
+ *   with each specifier; exports and declarations that come from it are expected to disappear.
+ * @param {boolean} options.nodeCheck - If true, also run `node --check` on the output.
+ * @returns {object} `{ ok, verified, issues }`, each issue with a `type` of 'syntax', 'node-check',
+ *   'surface' or 'undeclared'. `verified` is false when the input itself doesn't parse, so there
+ *   was nothing to check the output against.
+ */
+export function verifyTransform(before, after, options = {}) {
+  const { filename = 'input.js', removedPackage } = options;
+  const issues = [];
+  const isRemoved =
+    typeof removedPackage === 'function'
+      ? removedPackage
+      : (source) => Boolean(removedPackage) && getPackageName(source) === removedPackage;
+
+  // Input that didn't parse to begin with can't be checked against
+  const beforeAst = tryParse(before, filename);
+  if (!beforeAst.ast) return { ok: true, verified: false, issues };
+
+  const afterAst = tryParse(after, filename);
+  if (!afterAst.ast) {
+    const { loc, message } = afterAst.error;
+    issues.push({
+      type: 'syntax',
+      message: message.replace(/\s*\(\d+:\d+\)$/, ''),
+      line: loc ? loc.line : null,
+      column: loc ? loc.column + 1 : null,
+    });
+    return { ok: false, verified: true, issues };
+  }
+
+  if (options.nodeCheck) {
+    const failure = nodeCheck(after, filename, afterAst.ast.program.sourceType);
+    if (failure && !nodeCheck(before, filename, beforeAst.ast.program.sourceType)) {
+      issues.push({ type: 'node-check', message: failure });
+    }
+  }
+
+  const expected = collectSurface(beforeAst.ast);
+  const actual = collectSurface(afterAst.ast);
+  const useExports = expected.exports.length > 0;
+  const actualNames = new Set((useExports ? actual.exports : actual.topLevel).map((e) => e.name));
+
+  (useExports ? expected.exports : expected.topLevel)
+    .filter((entry) => !actualNames.has(entry.name))
+    .filter((entry) => !(entry.source && isRemoved(entry.source)))
+    .forEach((entry) => {
+      issues.push({
+        type: 'surface',
+        message: `${useExports ? 'export' : 'top-level declaration'} '${entry.name}' is missing`,
+        name: entry.name,
+        line: entry.line,
+        column: entry.column,
+      });
+    });
+
+  // Names bound to the removed package go with it; anything else must stay declared
+  const declared = collectDeclared(beforeAst.ast, isRemoved);
+  collectUndeclared(afterAst.ast)
+    .filter(({ name }) => declared.has(name))
+    .forEach(({ name, line, column }) => {
+      issues.push({
+        type: 'undeclared',
+        message: `'${name}' is no longer declared`,
+        name,
+        line,
+        column,
+      });
+    });
+
+  return { ok: issues.length === 0, verified: true, issues };
+}
+
+/**
+ * Verify a transformation and throw if it broke the code.
+ * @param {string} before - Source before the transformation.
+ * @param {string} after - Source after the transformation.
+ * @param {object} options - Options passed to verifyTransform, plus `file` for the error.
+ * @returns {boolean} False if the output couldn't be checked because the input doesn't parse.
+ * @throws {VerificationError} If the output doesn't parse or lost part of its API.
+ */
+export function assertVerified(before, after, options = {}) {
+  const { ok, verified, issues } = verifyTransform(before, after, options);
+  if (ok) return verified;
+
+  throw new VerificationError(
+    `Output failed verification (${issues.length} issue(s)), nothing was written`,
+    { file: options.file, issues },
+  );
+}
+
+/**
+ * Print the issues of a VerificationError.
+ * @param {Error} err - Error thrown by a transformation.
+ * @param {string} filePath - File the issues belong to.
+ */
+export function printVerificationIssues(err, filePath) {
+  if (!err.issues) return;
+
+  err.issues.forEach((issue) => {
+    const where = issue.line ? `${filePath}:${issue.line}:${issue.column}` : filePath;
+    log.error(' -', chalk.gray(where), chalk.red(issue.type), issue.message);
+  });
+  log.warn(chalk.gray(`💡 Tip: Use --no-verify to write the output anyway.`));
+}
+
+// Parse the way the transformations do, so whatever they could read can be checked
+function tryParse(code, filename) {
+  try {
+    const ast = parseSource(code, filename, {
+      allowReturnOutsideFunction: true,
+      allowAwaitOutsideFunction: true,
+    });
+    return { ast, error: null };
+  } catch (error) {
+    return { ast: null, error };
+  }
+}
+
+// Returns the error output of `node --check`, or null if it passed (or doesn't apply)
+function nodeCheck(code, filename, sourceType) {
+  if (!NODE_CHECK_EXTENSIONS.includes(path.extname(filename).toLowerCase())) return null;
+
+  const ext = sourceType === 'module' ? '.mjs' : '.cjs';
+  const tempFile = path.join(os.tmpdir(), `kz-check-${process.pid}-${checkCount++}${ext}`);
+
+  try {
+    fs.writeFileSync(tempFile, code, 'utf8');
+    const result = spawnSync(process.execPath, ['--check', tempFile], { encoding: 'utf8' });
+    if (result.status === 0) return null;
+
+    // The first line names the temp file; the message itself is what matters
+    const lines = (result.stderr || '').split('\n').filter(Boolean);
+    return lines.find((line) => /Error/.test(line)) || lines[0] || 'node --check failed';
+  } finally {
+    fs.rmSync(tempFile, { force: true });
+  }
+}
+
+/**
+ * Collect what a file exposes: its ESM/CommonJS exports, and its top-level
+ * declarations (the globals of a classic script).
+ * @param {object} ast - Babel AST.
+ * @returns {object} `{ exports, topLevel }`, lists of `{ name, source, line, column }`.
+ */
+function collectSurface(ast) {
+  const exports = [];
+  const topLevel = [];
+  const entry = (name, node, source = null) => ({
+    name,
+    source,
+    line: node.loc ? node.loc.start.line : null,
+    column: node.loc ? node.loc.start.column + 1 : null,
+  });
+
+  ast.program.body.forEach((node) => {
+    switch (node.type) {
+      case 'ExportNamedDeclaration':
+        if (node.declaration) {
+          declaredNames(node.declaration).forEach((id) => exports.push(entry(id.name, id)));
+        }
+        node.specifiers.forEach((specifier) => {
+          const name = specifier.exported.name ?? specifier.exported.value;
+          exports.push(entry(name, specifier, node.source ? node.source.value : null));
+        });
+        break;
+      case 'ExportDefaultDeclaration':
+        exports.push(entry('default', node));
+        break;
+      case 'ExportAllDeclaration':
+        exports.push(entry(`* from ${node.source.value}`, node, node.source.value));
+        break;
+      case 'ExpressionStatement':
+        commonJsExports(node.expression).forEach(({ name, node: target, source }) => {
+          exports.push(entry(name, target, source));
+        });
+        break;
+      default:
+        declaredNames(node).forEach((id) => {
+          topLevel.push(entry(id.name, id, requireSource(node)));
+        });
+    }
+  });
+
+  return { exports, topLevel };
+}
+
+// Names that refer to a declaration somewhere, except imports and requires of removed packages
+function collectDeclared(ast, isRemoved) {
+  const declared = new Set();
+
+  traverse(ast, {
+    ReferencedIdentifier(path) {
+      const binding = path.scope.getBinding(path.node.name);
+      if (binding && !isRemovedBinding(binding, isRemoved)) declared.add(path.node.name);
+    },
+  });
+
+  return declared;
+}
+
+// The first reference to each name without a declaration
+function collectUndeclared(ast) {
+  const found = new Map();
+
+  traverse(ast, {
+    ReferencedIdentifier(path) {
+      const { name, loc } = path.node;
+      if (found.has(name) || path.scope.getBinding(name)) return;
+      found.set(name, {
+        name,
+        line: loc ? loc.start.line : null,
+        column: loc ? loc.start.column + 1 : null,
+      });
+    },
+  });
+
+  return [...found.values()];
+}
+
+function isRemovedBinding(binding, isRemoved) {
+  const { path } = binding;
+  if (binding.kind === 'module') {
+    const declaration = path.parentPath;
+    return Boolean(declaration.node.source && isRemoved(declaration.node.source.value));
+  }
+
+  const source = path.isVariableDeclarator() ? requireSourceOf(path.node.init) : null;
+  return Boolean(source && isRemoved(source));
+}
+
+function declaredNames(node) {
+  switch (node.type) {
+    case 'VariableDeclaration':
+      return node.declarations.flatMap((declarator) => patternNames(declarator.id));
+    case 'FunctionDeclaration':
+    case 'ClassDeclaration':
+    case 'TSInterfaceDeclaration':
+    case 'TSTypeAliasDeclaration':
+    case 'TSEnumDeclaration':
+    case 'TSModuleDeclaration':
+      return node.id && node.id.type === 'Identifier' ? [node.id] : [];
+    default:
+      return [];
+  }
+}
+
+function patternNames(node) {
+  if (!node) return [];
+  switch (node.type) {
+    case 'Identifier':
+      return [node];
+    case 'ObjectPattern':
+      return node.properties.flatMap((prop) =>
+        patternNames(prop.type === 'RestElement' ? prop.argument : prop.value),
+      );
+    case 'ArrayPattern':
+      return node.elements.flatMap(patternNames);
+    case 'RestElement':
+      return patternNames(node.argument);
+    case 'AssignmentPattern':
+      return patternNames(node.left);
+    default:
+      return [];
+  }
+}
+
+// `const x = require('pkg')` and `const y = require('pkg').y` come from 'pkg'
+function requireSource(node) {
+  if (node.type !== 'VariableDeclaration') return null;
+  const declarator = node.declarations.find(({ init }) => requireSourceOf(init));
+  return declarator ? requireSourceOf(declarator.init) : null;
+}
+
+// `module.exports = {...}`, `exports.a = ...`, `Object.defineProperty(exports, 'a', ...)`,
+// including minified sequences and chains like `exports.a = exports.b = void 0`
+function commonJsExports(expression) {
+  const found = [];
+  const isExportsObject = (node) =>
+    (node.type === 'Identifier' && node.name === 'exports') ||
+    (node.type === 'MemberExpression' &&
+      node.object.name === 'module' &&
+      propertyName(node) === 'exports');
+
+  const visit = (node) => {
+    if (!node) return;
+
+    if (node.type === 'SequenceExpression') {
+      node.expressions.forEach(visit);
+    } else if (node.type === 'AssignmentExpression') {
+      const { left, right } = node;
+      if (left.type === 'MemberExpression' && isExportsObject(left)) {
+        // module.exports = ...
+        if (right.type === 'ObjectExpression') {
+          right.properties
+            .filter((prop) => prop.type === 'ObjectProperty' || prop.type === 'ObjectMethod')
+            .forEach((prop) => {
+              const name = prop.key.name ?? prop.key.value;
+              if (name !== undefined) found.push({ name: String(name), node: prop });
+            });
+        } else {
+          found.push({ name: 'default', node: left, source: requireSourceOf(right) });
+        }
+      } else if (left.type === 'MemberExpression' && isExportsObject(left.object)) {
+        found.push({ name: propertyName(left), node: left, source: requireSourceOf(right) });
+      }
+      visit(right);
+    } else if (
+      node.type === 'CallExpression' &&
+      node.callee.type === 'MemberExpression' &&
+      node.callee.object.name === 'Object' &&
+      propertyName(node.callee) === 'defineProperty' &&
+      node.arguments[0] &&
+      isExportsObject(node.arguments[0]) &&
+      node.arguments[1] &&
+      node.arguments[1].type === 'StringLiteral' &&
+      node.arguments[1].value !== '__esModule'
+    ) {
+      found.push({ name: node.arguments[1].value, node });
+    }
+  };
+
+  visit(expression);
+  return found.filter((item) => item.name);
+}
+
+function propertyName(member) {
+  if (!member.computed) return member.property.name;
+  return member.property.type === 'StringLiteral' ? member.property.value : null;
+}
+
+function requireSourceOf(node) {
+  let call = node;
+  while (call && call.type === 'MemberExpression') call = call.object;
+  return call &&
+    call.type === 'CallExpression' &&
+    call.callee.name === 'require' &&
+    call.arguments[0] &&
+    call.arguments[0].type === 'StringLiteral'
+    ? call.arguments[0].value
+    : null;
+}
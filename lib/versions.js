@@ -0,0 +1,318 @@
+import fs from 'fs';
+import path from 'path';
+import { builtinModules } from 'module';
+import { globbySync } from 'globby';
+import { getPackageName } from './utils.js';
+
+const LOCKFILES = ['package-lock.json', 'npm-shrinkwrap.json', 'yarn.lock', 'pnpm-lock.yaml'];
+
+// Parsed lockfiles and workspace maps, keyed by path and invalidated by mtime
+const cache = new Map();
+
+/**
+ * Get the version of the package an import specifier resolves to.
+ * @param {string} specifier - Package name or specifier, e.g. `lodash/map`.
+ * @param {string} from - File or directory the import is resolved from (default: cwd).
+ * @returns {string} Package version or 'N/A'.
+ */
+export function getPackageVersion(specifier, from) {
+  return resolvePackageVersion(specifier, from).version;
+}
+
+/**
+ * Resolve an import specifier to its package and every installed version of it.
+ * Looks in `node_modules` walking up from `from` (like Node does), then in the
+ * project's workspaces, then in the nearest lockfile, then in `NODE_PATH`.
+ * @param {string} specifier - Package name or specifier, e.g. `@scope/pkg/sub`.
+ * @param {string} from - File or directory the import is resolved from (default: cwd).
+ * @returns {object} `{ name, version, versions, source }`; `versions` lists every version the
+ *   lockfile records plus the resolved one (nested `node_modules` copies aren't scanned, so
+ *   without a lockfile it holds just the resolved version), `source` is 'node_modules',
+ *   'workspace', 'lockfile', 'NODE_PATH' or null.
+ */
+export function resolvePackageVersion(specifier, from) {
+  const name = getPackageName(specifier);
+  if (!name || builtinModules.includes(name)) {
+    return { name, version: 'N/A', versions: [], source: null };
+  }
+
+  const start = startDir(from);
+  const lock = readLockfile(start);
+  const locked = lock ? lock.versions(name, manifestRange(start, name)) : null;
+
+  const found =
+    withSource(findInstalled(name, start), 'node_modules') ||
+    withSource(findWorkspace(name, start), 'workspace') ||
+    withSource(locked && locked.preferred, 'lockfile') ||
+    withSource(findInNodePath(name), 'NODE_PATH');
+
+  const versions = new Set(locked ? locked.all : []);
+  if (found) versions.add(found.version);
+
+  return {
+    name,
+    version: found ? found.version : 'N/A',
+    versions: [...versions].sort(compareVersions),
+    source: found ? found.source : null,
+  };
+}
+
+function withSource(version, source) {
+  return version ? { version, source } : null;
+}
+
+function startDir(from) {
+  if (!from) return process.cwd();
+  const resolved = path.resolve(from);
+  return fs.existsSync(resolved) && fs.statSync(resolved).isDirectory()
+    ? resolved
+    : path.dirname(resolved);
+}
+
+function* ancestors(dir) {
+  for (let current = dir; ; current = path.dirname(current)) {
+    yield current;
+    if (current === path.dirname(current)) return;
+  }
+}
+
+function readJson(file) {
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch {
+    return null;
+  }
+}
+
+// Node's lookup: <dir>/node_modules/<name> for every ancestor, or the package itself
+function findInstalled(name, start) {
+  for (const dir of ancestors(start)) {
+    const pkg = readJson(path.join(dir, 'node_modules', name, 'package.json'));
+    if (pkg && pkg.version) return pkg.version;
+
+    const own = readJson(path.join(dir, 'package.json'));
+    if (own && own.name === name && own.version) return own.version;
+  }
+  return null;
+}
+
+function findInNodePath(name) {
+  if (!process.env.NODE_PATH) return null;
+
+  for (const dir of process.env.NODE_PATH.split(path.delimiter).filter(Boolean)) {
+    const pkg = readJson(path.join(dir, name, 'package.json'));
+    if (pkg && pkg.version) return pkg.version;
+  }
+  return null;
+}
+
+// npm/yarn `workspaces` in package.json, or pnpm-workspace.yaml
+function findWorkspace(name, start) {
+  for (const dir of ancestors(start)) {
+    const patterns = workspacePatterns(dir);
+    if (patterns) return workspacePackages(dir, patterns).get(name) || null;
+  }
+  return null;
+}
+
+function workspacePatterns(dir) {
+  const pkg = readJson(path.join(dir, 'package.json'));
+  if (pkg && pkg.workspaces) {
+    return Array.isArray(pkg.workspaces) ? pkg.workspaces : pkg.workspaces.packages || [];
+  }
+
+  const pnpmFile = path.join(dir, 'pnpm-workspace.yaml');
+  if (fs.existsSync(pnpmFile)) {
+    return [...fs.readFileSync(pnpmFile, 'utf8').matchAll(/^\s*-\s*['"]?([^'"\n#]+?)['"]?\s*$/gm)]
+      .map((match) => match[1])
+      .filter((pattern) => !pattern.startsWith('!'));
+  }
+  return null;
+}
+
+function workspacePackages(root, patterns) {
+  const key = `workspaces:${root}`;
+  if (!cache.has(key)) {
+    const packages = new Map();
+    globbySync(
+      patterns.map((pattern) => `${pattern.replace(/\/$/, '')}/package.json`),
+      { cwd: root, absolute: true, ignore: ['**/node_modules/**'] },
+    ).forEach((file) => {
+      const pkg = readJson(file);
+      if (pkg && pkg.name && pkg.version) packages.set(pkg.name, pkg.version);
+    });
+    cache.set(key, packages);
+  }
+  return cache.get(key);
+}
+
+// The range the nearest package.json asks for, used to pick between locked versions
+function manifestRange(start, name) {
+  for (const dir of ancestors(start)) {
+    const pkg = readJson(path.join(dir, 'package.json'));
+    if (!pkg) continue;
+
+    const fields = ['dependencies', 'devDependencies', 'peerDependencies', 'optionalDependencies'];
+    const field = fields.find((key) => pkg[key] && pkg[key][name]);
+    return field ? pkg[field][name] : null;
+  }
+  return null;
+}
+
+/**
+ * Find and parse the nearest lockfile.
+ * @param {string} start - Directory to search from.
+ * @returns {object|null} `{ versions(name, range) }`, where `versions` returns
+ *   `{ preferred, all }`: the version the project itself gets, and every locked version.
+ */
+function readLockfile(start) {
+  for (const dir of ancestors(start)) {
+    const name = LOCKFILES.find((file) => fs.existsSync(path.join(dir, file)));
+    if (!name) continue;
+
+    const file = path.join(dir, name);
+    const mtime = fs.statSync(file).mtimeMs;
+    const cached = cache.get(file);
+    if (cached && cached.mtime === mtime) return cached.lock;
+
+    const text = fs.readFileSync(file, 'utf8');
+    let lock = null;
+    try {
+      if (name === 'yarn.lock') lock = parseYarnLock(text);
+      else if (name === 'pnpm-lock.yaml') lock = parsePnpmLock(text);
+      else lock = parseNpmLock(JSON.parse(text));
+    } catch {
+      // An unreadable lockfile just means no lockfile versions
+    }
+
+    cache.set(file, { mtime, lock });
+    return lock;
+  }
+  return null;
+}
+
+// package-lock.json v2/v3 (`packages`) and v1 (nested `dependencies`)
+function parseNpmLock(lock) {
+  const entries = [];
+
+  if (lock.packages) {
+    Object.entries(lock.packages).forEach(([key, entry]) => {
+      const match = key.match(/(?:^|\/)node_modules\/((?:@[^/]+\/)?[^/]+)$/);
+      if (!match) return;
+
+      // Workspace links point at the workspace folder, which holds the version
+      const target = entry.link ? lock.packages[entry.resolved] || {} : entry;
+      if (target.version) {
+        entries.push({
+          name: match[1],
+          version: target.version,
+          top: !key.includes('/node_modules/', 1),
+        });
+      }
+    });
+  } else if (lock.dependencies) {
+    const visit = (dependencies, top) => {
+      Object.entries(dependencies).forEach(([name, entry]) => {
+        if (entry.version) entries.push({ name, version: entry.version, top });
+        if (entry.dependencies) visit(entry.dependencies, false);
+      });
+    };
+    visit(lock.dependencies, true);
+  }
+
+  return {
+    versions(name) {
+      const matches = entries.filter((entry) => entry.name === name);
+      const top = matches.find((entry) => entry.top);
+      return { preferred: (top || matches[0] || {}).version || null, all: unique(matches) };
+    },
+  };
+}
+
+// yarn.lock v1 (`version "1.2.3"`) and berry (`version: 1.2.3`)
+function parseYarnLock(text) {
+  const entries = [];
+
+  text.split(/\n(?=\S)/).forEach((block) => {
+    const [header, ...body] = block.split('\n');
+    if (!header.endsWith(':') || header.startsWith('#') || header.startsWith('__metadata')) return;
+
+    const version = body.join('\n').match(/^\s+version:?\s+"?([^"\s]+)"?/m);
+    if (!version) return;
+
+    header
+      .slice(0, -1)
+      .split(',')
+      .map((descriptor) => descriptor.trim().replace(/^"|"$/g, ''))
+      .forEach((descriptor) => {
+        const at = descriptor.indexOf('@', 1);
+        if (at < 0) return;
+        entries.push({
+          name: descriptor.slice(0, at),
+          range: descriptor.slice(at + 1).replace(/^npm:/, ''),
+          version: version[1],
+        });
+      });
+  });
+
+  return {
+    versions(name, range) {
+      const matches = entries.filter((entry) => entry.name === name);
+      const wanted = matches.find((entry) => range && entry.range === range);
+      return { preferred: (wanted || matches[0] || {}).version || null, all: unique(matches) };
+    },
+  };
+}
+
+// pnpm-lock.yaml v5 (`/name/1.2.3:`), v6 (`/name@1.2.3:`) and v9 (`name@1.2.3:`)
+function parsePnpmLock(text) {
+  const entries = [];
+  const section = text.match(/^(?:packages|snapshots):\s*$([\s\S]*?)(?=^\S|(?![\s\S]))/gm) || [];
+
+  section.forEach((body) => {
+    for (const match of body.matchAll(
+      /^ {2}['"]?\/?((?:@[^/@\s]+\/)?[^/@\s'"]+)[@/](\d[^:'"()_\s]*)/gm,
+    )) {
+      entries.push({ name: match[1], version: match[2] });
+    }
+  });
+
+  // Direct dependencies of the root importer (or of a single-project lockfile)
+  const direct = (name) => {
+    const quoted = `['"]?${name.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&')}['"]?`;
+    const match =
+      text.match(
+        new RegExp(`^\\s+${quoted}:\\s*\\n\\s+specifier:.*\\n\\s+version:\\s*(\\d[^\\s(]*)`, 'm'),
+      ) || text.match(new RegExp(`^\\s+${quoted}:\\s*(\\d[^\\s(_]*)\\s*$`, 'm'));
+    return match ? match[1] : null;
+  };
+
+  return {
+    versions(name) {
+      const matches = entries.filter((entry) => entry.name === name);
+      return {
+        preferred: direct(name) || (matches[0] || {}).version || null,
+        all: unique(matches),
+      };
+    },
+  };
+}
+
+function unique(entries) {
+  return [...new Set(entries.map((entry) => entry.version))];
+}
+
+function compareVersions(a, b) {
+  const parts = (version) =>
+    version.split(/[.+-]/).map((part) => (/^\d+$/.test(part) ? +part : part));
+  const [left, right] = [parts(a), parts(b)];
+
+  for (let i = 0; i < Math.max(left.length, right.length); i++) {
+    if (left[i] === right[i]) continue;
+    if (left[i] === undefined) return -1;
+    if (right[i] === undefined) return 1;
+    if (typeof left[i] === typeof right[i]) return left[i] < right[i] ? -1 : 1;
+    return typeof left[i] === 'number' ? -1 : 1;
+  }
+  return 0;
+}
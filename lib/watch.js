@@ -0,0 +1,145 @@
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import chalk from 'chalk';
+import { resolveFiles } from './utils.js';
+import { log } from './logger.js';
+
+const DEFAULT_DEBOUNCE = 100; // ms
+
+/**
+ * Prefix for watch-mode output, e.g. `[14:03:27]`.
+ * @returns {string} The current time, dimmed.
+ */
+export function timestamp() {
+  return chalk.gray(`[${new Date().toTimeString().slice(0, 8)}]`);
+}
+
+/**
+ * Wait until the user presses Ctrl+C (or the process gets SIGTERM).
+ * @returns {Promise<void>} Resolves on the first signal.
+ */
+export function untilInterrupted() {
+  return new Promise((resolve) => {
+    const stop = () => {
+      process.off('SIGINT', stop);
+      process.off('SIGTERM', stop);
+      // Keep the ^C on its own line
+      process.stdout.write('\n');
+      resolve();
+    };
+    process.on('SIGINT', stop);
+    process.on('SIGTERM', stop);
+  });
+}
+
+/**
+ * Re-run a per-file task whenever one of the matched files is saved. Changes are
+ * debounced, and a file whose contents match what the last run left behind (such
+ * as the task's own write) is skipped, so tasks that rewrite their input don't loop.
+ * New files that match the inputs are picked up as they appear.
+ * @param {string|string[]} inputs - Files, directories or glob patterns.
+ * @param {Function} task - Async function called with a file path.
+ * @param {object} options - Watch options.
+ * @param {string[]} options.ignore - Extra glob patterns to exclude.
+ * @param {number} options.debounce - Quiet period in ms before running (default 100).
+ * @returns {Promise<object>} Watcher with `files` (the watched files) and `close()`.
+ */
+export async function watchFiles(inputs, task, options = {}) {
+  const debounce = options.debounce ?? DEFAULT_DEBOUNCE;
+  const files = new Map(); // absolute path → path as matched
+  const lastSeen = new Map(); // absolute path → hash of the contents after the last run
+  const watchers = new Map(); // directory → fs.FSWatcher
+  const pending = new Set();
+  let timer = null;
+  let queue = Promise.resolve();
+  let closed = false;
+
+  // Files found at startup count as up to date; files that appear later still need a run
+  const refresh = async (initial = false) => {
+    const matched = await resolveFiles(inputs, { ignore: options.ignore });
+    matched.forEach((file) => {
+      const absolute = path.resolve(file);
+      if (!files.has(absolute)) {
+        files.set(absolute, file);
+        lastSeen.set(absolute, initial ? hashFile(absolute) : null);
+      }
+      watchDirectory(path.dirname(absolute));
+    });
+
+    // Directories named as inputs are watched too, so files created there are noticed
+    [].concat(inputs).forEach((input) => {
+      if (fs.existsSync(input) && fs.statSync(input).isDirectory()) {
+        watchDirectory(path.resolve(input));
+      }
+    });
+  };
+
+  const flush = () => {
+    timer = null;
+    const changed = [...pending];
+    pending.clear();
+
+    queue = queue.then(async () => {
+      if (closed) return;
+      await refresh();
+
+      for (const absolute of changed) {
+        if (!files.has(absolute)) continue;
+
+        const hash = hashFile(absolute);
+        if (hash === null || hash === lastSeen.get(absolute)) continue;
+
+        log.info(timestamp(), chalk.cyan(`🔄 ${files.get(absolute)} changed`));
+        try {
+          await task(files.get(absolute));
+        } catch (err) {
+          log.error(timestamp(), chalk.red(`✖ ${err.message}`));
+        }
+        lastSeen.set(absolute, hashFile(absolute));
+      }
+    });
+  };
+
+  function watchDirectory(dir) {
+    if (watchers.has(dir) || !fs.existsSync(dir)) return;
+
+    const watcher = fs.watch(dir, (event, name) => {
+      if (!name) return;
+      pending.add(path.join(dir, name.toString()));
+      clearTimeout(timer);
+      timer = setTimeout(flush, debounce);
+    });
+    watcher.on('error', () => {
+      watcher.close();
+      watchers.delete(dir);
+    });
+    watchers.set(dir, watcher);
+  }
+
+  await refresh(true);
+
+  return {
+    files: [...files.values()],
+
+    /**
+     * Stop watching; resolves once a run in progress has finished.
+     * @returns {Promise<void>}
+     */
+    async close() {
+      closed = true;
+      clearTimeout(timer);
+      watchers.forEach((watcher) => watcher.close());
+      watchers.clear();
+      await queue;
+    },
+  };
+}
+
+function hashFile(file) {
+  try {
+    return crypto.createHash('sha1').update(fs.readFileSync(file)).digest('hex');
+  } catch {
+    return null;
+  }
+}